@@ -11,7 +11,17 @@ const userRoutes = require("./routes/users");
 const promotionRoutes = require("./routes/promotions");
 const eventRoutes = require("./routes/events");
 const transactionRoutes = require("./routes/transactions");
+const rewardRoutes = require("./routes/rewards");
+const settingRoutes = require("./routes/settings");
+const apiKeyRoutes = require("./routes/apiKeys");
+const roleRoutes = require("./routes/roles");
+const auditRoutes = require("./routes/audit");
+const tierRoutes = require("./routes/tiers");
+const auditTrail = require("./middleware/audit");
 const errorHandler = require("./middleware/errorHandler");
+const startRedemptionSweeper = require("./jobs/redemptionSweeper");
+const startPointsExpiry = require("./jobs/pointsExpiry");
+const startTierRecalculation = require("./jobs/tierRecalculation");
 
 // get port
 const port = process.env.PORT || 3001;
@@ -28,18 +38,28 @@ app.use(
   })
 );
 app.use(express.json());
+app.use(auditTrail);
 app.use("/uploads", express.static("uploads"));
 app.use("/auth", authRoutes);
 app.use("/users", userRoutes);
 app.use("/promotions", promotionRoutes);
 app.use("/events", eventRoutes);
 app.use("/transactions", transactionRoutes);
+app.use("/rewards", rewardRoutes);
+app.use("/settings", settingRoutes);
+app.use("/apikeys", apiKeyRoutes);
+app.use("/roles", roleRoutes);
+app.use("/audit", auditRoutes);
+app.use("/tiers", tierRoutes);
 
 app.use(errorHandler);
 
 // start app
 const server = app.listen(port, () => {
     console.log(`Server running on port ${port}`);
+    startRedemptionSweeper();
+    startPointsExpiry();
+    startTierRecalculation();
 });
 
 server.on('error', (err) => {
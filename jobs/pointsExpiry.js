@@ -0,0 +1,25 @@
+'use strict';
+
+// require all dependencies
+const {expirePoints} = require("../services/expiry");
+
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+const run = async () => {
+    try {
+        const expired = await expirePoints();
+        if (expired > 0) {
+            console.log(`Expired ${expired} point(s)`);
+        }
+    } catch (err) {
+        console.error(`points expiry failed: ${err.message}`);
+    }
+};
+
+// periodically expire points older than the expiry policy
+const startPointsExpiry = () => {
+    run();
+    return setInterval(run, EXPIRY_INTERVAL_MS);
+};
+
+module.exports = startPointsExpiry;
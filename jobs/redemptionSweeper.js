@@ -0,0 +1,25 @@
+'use strict';
+
+// require all dependencies
+const {expireRedemptions} = require("../services/redemptions");
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const sweep = async () => {
+    try {
+        const expired = await expireRedemptions();
+        if (expired > 0) {
+            console.log(`Expired ${expired} pending redemption(s)`);
+        }
+    } catch (err) {
+        console.error(`redemption sweep failed: ${err.message}`);
+    }
+};
+
+// periodically expire stale redemption requests
+const startRedemptionSweeper = () => {
+    sweep();
+    return setInterval(sweep, SWEEP_INTERVAL_MS);
+};
+
+module.exports = startRedemptionSweeper;
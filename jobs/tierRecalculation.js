@@ -0,0 +1,30 @@
+'use strict';
+
+// require all dependencies
+const {recalculateAllTiers} = require("../services/tiers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const run = async () => {
+    try {
+        const changed = await recalculateAllTiers();
+        if (changed > 0) {
+            console.log(`Moved ${changed} user(s) to a new tier`);
+        }
+    } catch (err) {
+        console.error(`tier recalculation failed: ${err.message}`);
+    }
+};
+
+// recalculate every membership tier nightly, so purchases rolling out of the window are dropped
+const startTierRecalculation = () => {
+    const midnight = new Date();
+    midnight.setHours(24, 0, 0, 0);
+
+    return setTimeout(() => {
+        run();
+        setInterval(run, DAY_MS);
+    }, midnight - Date.now());
+};
+
+module.exports = startTierRecalculation;
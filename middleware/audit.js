@@ -0,0 +1,52 @@
+'use strict';
+
+// require all dependencies
+const {recordAudit} = require("../services/audit");
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// middleware recording every successful mutating request in the audit log;
+// routes describe what changed by setting res.locals.audit to
+// { targetType, targetId, before, after }, otherwise the route and its first parameter are used.
+// The entry is written before the response is sent. The change itself has already been committed
+// by then, so an entry that cannot be written is logged and the response still goes out unchanged
+const auditTrail = (req, res, next) => {
+    if (!MUTATING_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    const send = res.send;
+    let recorded = false;
+
+    // every response goes through res.send, res.json and res.sendStatus included
+    res.send = function (body) {
+        if (recorded || res.statusCode >= 400 || !req.route || res.getHeader("Idempotent-Replayed")) {
+            return send.call(res, body);
+        }
+        recorded = true;
+
+        const details = res.locals.audit || {};
+        const params = Object.values(req.params || {});
+
+        recordAudit({
+            actorId: req.auth ? req.auth.id : null,
+            apiKeyId: req.auth ? req.auth.apiKeyId : null,
+            action: `${req.method} ${req.baseUrl}${req.route.path}`,
+            targetType: details.targetType || req.baseUrl.replace(/^\//, ""),
+            targetId: details.targetId !== undefined ? details.targetId : params[0],
+            before: details.before,
+            after: details.after,
+            ip: req.ip
+        }).catch((err) => {
+            console.error(`cannot write audit log entry for ${req.method} ${req.originalUrl}: ${err.message}`);
+        }).then(() => {
+            send.call(res, body);
+        });
+
+        return res;
+    };
+
+    next();
+};
+
+module.exports = auditTrail;
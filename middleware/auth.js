@@ -1,37 +1,126 @@
 'use strict';
 
 // require all dependencies
-const jwt = require("jsonwebtoken");
 const { expressjwt: expressJwt } = require("express-jwt");
+const prisma = require("../prisma/db");
+const {getSetting} = require("../services/settings");
+const {hashToken} = require("../services/tokens");
+const {parseScopes} = require("../services/apiKeys");
+const {permissionsFor} = require("../services/permissions");
 
-// middleware to verify JWT token
-const authenticateJWT = expressJwt({
+const roleHierarchy = {
+    "regular": 1,
+    "cashier": 2,
+    "manager": 3,
+    "superuser": 4
+};
+
+// point-of-sale terminals authenticate with an X-API-Key header and act as the key's user,
+// limited to the key's scopes
+const verifyApiKey = async (req, res, next) => {
+    const key = req.get("X-API-Key");
+    if (!key) {
+        return next();
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+        where: { keyHash: hashToken(key) },
+        include: { user: { select: { id: true, utorid: true, role: true } } }
+    });
+
+    if (!apiKey || apiKey.revokedAt) {
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    await prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: new Date() }
+    });
+
+    req.auth = {
+        id: apiKey.user.id,
+        utorid: apiKey.user.utorid,
+        role: apiKey.user.role,
+        apiKeyId: apiKey.id,
+        scopes: parseScopes(apiKey.scopes)
+    };
+
+    next();
+};
+
+// verify the JWT, tokens issued before the user's last role change,
+// password reset or logout everywhere are rejected, as are 2FA challenge tokens
+const verifyToken = expressJwt({
     secret: process.env.JWT_SECRET,
     algorithms: ['HS256'],
-    requestProperty: 'auth'
+    requestProperty: 'auth',
+    isRevoked: async (req, token) => {
+        if (token.payload.purpose) {
+            return true;
+        }
+        const user = await prisma.user.findUnique({
+            where: { id: token.payload.id },
+            select: { tokenVersion: true }
+        });
+        return !user || (token.payload.ver || 0) !== user.tokenVersion;
+    }
 });
 
-// middleware to check user role
-const requireRole = (minRole) => {
+const verifyJWT = (req, res, next) => {
+    if (req.auth && req.auth.apiKeyId) {
+        return next();
+    }
+    verifyToken(req, res, next);
+};
+
+// staff whose role requires two-factor authentication act as regular users until they log in with it
+const enforceTwoFactor = async (req, res, next) => {
+    if (req.auth.mfa || req.auth.apiKeyId || req.auth.role === "regular") {
+        return next();
+    }
+
+    const requiredRole = await getSetting("mfaRequiredRole");
+    if (requiredRole !== "none" && roleHierarchy[req.auth.role] >= roleHierarchy[requiredRole]) {
+        req.auth.role = "regular";
+        req.auth.mfaRequired = true;
+    }
+
+    next();
+};
+
+// the permissions of the role the request acts as
+const loadPermissions = async (req, res, next) => {
+    req.auth.permissions = await permissionsFor(req.auth.role);
+    next();
+};
+
+// middleware to verify JWT token or API key
+const authenticateJWT = [verifyApiKey, verifyJWT, enforceTwoFactor, loadPermissions];
+
+// whether the request may use a scope, only API keys are limited to scopes
+const hasScope = (req, scope) => !req.auth.apiKeyId || req.auth.scopes.includes(scope);
+
+// whether the request's role holds a permission
+const can = (req, permission) => req.auth.permissions.has(permission);
+
+// middleware to check the request holds a permission, or any of a list of them;
+// API keys are only let through routes naming a scope they hold
+const requirePermission = (permission, scope) => {
+    const permissions = Array.isArray(permission) ? permission : [permission];
+
     return (req, res, next) => {
-        const userRole = req.auth.role;
-        
-        const roleHierarchy = {
-            "regular": 1,
-            "cashier": 2,
-            "manager": 3,
-            "superuser": 4
-        };
-        
-        const requiredLevel = roleHierarchy[minRole];
-        const userLevel = roleHierarchy[userRole];
-        
-        if (userLevel >= requiredLevel) {
+        if (req.auth.apiKeyId && (!scope || !hasScope(req, scope))) {
+            return res.status(403).json({ error: 'API key is missing the required scope' });
+        }
+
+        if (permissions.some(name => can(req, name))) {
             next();
+        } else if (req.auth.mfaRequired) {
+            res.status(403).json({ error: 'Two-factor authentication required' });
         } else {
             res.status(403).json({ error: 'Insufficient permissions' });
         }
     };
 };
 
-module.exports = {authenticateJWT, requireRole};
\ No newline at end of file
+module.exports = {roleHierarchy, authenticateJWT, requirePermission, can, hasScope};
\ No newline at end of file
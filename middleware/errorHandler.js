@@ -11,6 +11,11 @@ const errorHandler = (err, req, res, next) => {
         return res.status(400).json({ error: err.message });
     }
     
+    // Handle ledger errors raised inside point-moving transactions
+    if (err.name === 'LedgerError') {
+        return res.status(err.status).json({ error: err.message });
+    }
+
     // Handle other errors
     console.error(err);
     return res.status(500).json({ error: 'Internal server error' });
@@ -0,0 +1,122 @@
+'use strict';
+
+// require all dependencies
+const crypto = require("crypto");
+const prisma = require("../prisma/db");
+
+// a key still marked in progress after this long belongs to a request that never finished
+const IN_PROGRESS_TTL_MS = 5 * 60 * 1000;
+
+// fingerprint a request so a reused key with a different body can be detected
+const fingerprintRequest = (req) => {
+    return crypto.createHash("sha256")
+        .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+        .digest("hex");
+};
+
+// middleware to replay responses for retried requests carrying an Idempotency-Key header
+// must run after authenticateJWT, keys are scoped to the authenticated user
+const idempotent = async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > 255) {
+        return res.status(400).json({ error: "Idempotency-Key must be at most 255 characters" });
+    }
+
+    const userId = req.auth.id;
+    const fingerprint = fingerprintRequest(req);
+
+    let existing = await prisma.idempotencyKey.findUnique({
+        where: { userId_key: { userId, key } }
+    });
+
+    // release an abandoned claim so the client can retry, unless it completed in the meantime
+    if (existing && existing.statusCode === null && Date.now() - existing.createdAt > IN_PROGRESS_TTL_MS) {
+        const { count } = await prisma.idempotencyKey.deleteMany({
+            where: { id: existing.id, statusCode: null }
+        });
+        existing = count > 0 ? null : await prisma.idempotencyKey.findUnique({
+            where: { userId_key: { userId, key } }
+        });
+    }
+
+    if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+            return res.status(409).json({ error: "Idempotency-Key was already used with a different request" });
+        }
+
+        if (existing.statusCode === null) {
+            return res.status(409).json({ error: "A request with this Idempotency-Key is still in progress" });
+        }
+
+        res.set("Idempotent-Replayed", "true");
+        // responses stored before the content type was recorded were all JSON
+        res.set("Content-Type", existing.contentType || "application/json; charset=utf-8");
+        return res.status(existing.statusCode).send(existing.response !== null ? existing.response : undefined);
+    }
+
+    let record;
+    try {
+        record = await prisma.idempotencyKey.create({
+            data: {
+                key,
+                userId,
+                method: req.method,
+                path: `${req.baseUrl}${req.path}`,
+                fingerprint
+            }
+        });
+    } catch (err) {
+        // another request claimed the key between the lookup and the insert
+        if (err.code === 'P2002') {
+            return res.status(409).json({ error: "A request with this Idempotency-Key is still in progress" });
+        }
+        throw err;
+    }
+
+    const release = () => prisma.idempotencyKey.deleteMany({ where: { id: record.id } });
+
+    // store successful responses for replay before they are sent, so an immediate retry is replayed,
+    // and release the key on failure so the client can retry; every response goes through res.send
+    const send = res.send;
+    let stored = null;
+    res.send = function (body) {
+        // res.send calls itself again through res.json for objects, only the final string is stored
+        if (stored !== null || (body !== null && typeof body === 'object' && !Buffer.isBuffer(body))) {
+            return send.call(res, body);
+        }
+
+        stored = res.statusCode;
+        const pending = res.statusCode >= 200 && res.statusCode < 300
+            ? prisma.idempotencyKey.update({
+                where: { id: record.id },
+                data: {
+                    statusCode: res.statusCode,
+                    contentType: res.get("Content-Type") || null,
+                    response: body !== undefined ? String(body) : null
+                }
+            })
+            : release();
+
+        pending.then(() => send.call(res, body), (err) => {
+            console.error(err);
+            send.call(res, body);
+        });
+        return res;
+    };
+
+    // a response that ended some other way, or that a later step turned into an error, cannot be replayed
+    res.on("finish", () => {
+        if (stored !== res.statusCode || res.statusCode < 200 || res.statusCode >= 300) {
+            release().catch(err => console.error(err));
+        }
+    });
+
+    next();
+};
+
+module.exports = idempotent;
@@ -2,11 +2,15 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const {getSetting} = require('../services/settings');
 
-// Create uploads directory if it doesn't exist
+// Create uploads directories if they don't exist
 const uploadDir = './uploads/avatars';
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
+const rewardUploadDir = './uploads/rewards';
+for (const dir of [uploadDir, rewardUploadDir]) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
 }
 
 // Configure storage
@@ -36,6 +40,24 @@ const storage = multer.diskStorage({
     }
 });
 
+// Reward images are named after the reward the route loaded into req.reward before the upload,
+// never after the raw path parameter, the route removes the previous image
+const rewardStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, rewardUploadDir);
+    },
+    filename: function (req, file, cb) {
+        if (!req.reward || !Number.isInteger(req.reward.id)) {
+            return cb(new Error('Reward must be loaded before its image is uploaded'));
+        }
+        const ext = path.extname(file.originalname);
+        cb(null, `reward-${req.reward.id}-${Date.now()}${ext}`);
+    }
+});
+
+// Imports are parsed straight from memory and never written to disk
+const csvStorage = multer.memoryStorage();
+
 // File filter - only images
 const fileFilter = (req, file, cb) => {
     const allowedTypes = /jpeg|jpg|png|gif|webp/;
@@ -49,13 +71,36 @@ const fileFilter = (req, file, cb) => {
     }
 };
 
-// Create multer instance
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB limit
-    },
-    fileFilter: fileFilter
+// File filter - only CSV files
+const csvFilter = (req, file, cb) => {
+    const extname = path.extname(file.originalname).toLowerCase() === '.csv';
+    const mimetype = ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+
+    if (mimetype && extname) {
+        return cb(null, true);
+    } else {
+        cb(new Error('Only CSV files are allowed'));
+    }
+};
+
+// Create uploaders, the size limit is read from the settings store on every request
+const createUpload = (storage, filter = fileFilter) => ({
+    single: (field) => async (req, res, next) => {
+        const maxBytes = await getSetting('uploadMaxBytes');
+        multer({
+            storage: storage,
+            limits: {
+                fileSize: maxBytes
+            },
+            fileFilter: filter
+        }).single(field)(req, res, next);
+    }
 });
 
-module.exports = upload;
\ No newline at end of file
+const upload = createUpload(storage);
+const rewardUpload = createUpload(rewardStorage);
+const csvUpload = createUpload(csvStorage, csvFilter);
+
+module.exports = upload;
+module.exports.rewardUpload = rewardUpload;
+module.exports.csvUpload = csvUpload;
\ No newline at end of file
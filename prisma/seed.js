@@ -7,12 +7,25 @@ async function main() {
   console.log('Starting seed...');
 
   // Clear existing data
+  await prisma.auditLog.deleteMany();
+  await prisma.idempotencyKey.deleteMany();
+  await prisma.settingChange.deleteMany();
+  await prisma.rolePermission.deleteMany();
+  await prisma.refreshToken.deleteMany();
+  await prisma.recoveryCode.deleteMany();
+  await prisma.loginAttempt.deleteMany();
+  await prisma.throttle.deleteMany();
+  await prisma.promotionUsage.deleteMany();
   await prisma.transaction.deleteMany();
+  await prisma.apiKey.deleteMany();
+  await prisma.promoCode.deleteMany();
   await prisma.eventGuest.deleteMany();
   await prisma.eventOrganizer.deleteMany();
   await prisma.event.deleteMany();
   await prisma.promotion.deleteMany();
+  await prisma.reward.deleteMany();
   await prisma.user.deleteMany();
+  await prisma.tier.deleteMany();
 
   // Hash password for all users
   const hashedPassword = await bcrypt.hash('Password123!', 10);
@@ -511,7 +524,9 @@ async function main() {
   for (let i = 0; i < 15; i++) {
     const user = regularUsers[i];
     const processed = i < 10;
-    const amount = Math.floor(Math.random() * 800) + 200;
+    const amount = processed
+      ? Math.floor(Math.random() * 800) + 200
+      : Math.min(Math.floor(Math.random() * 800) + 200, user.points);
     
     await prisma.transaction.create({
       data: {
@@ -525,6 +540,17 @@ async function main() {
         suspicious: false,
       },
     });
+
+    // Pending redemptions hold their points until processed
+    if (!processed) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          points: { decrement: amount },
+          pointsHeld: { increment: amount },
+        },
+      });
+    }
     transactionCount++;
   }
 
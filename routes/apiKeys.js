@@ -0,0 +1,249 @@
+'use strict'
+
+// require all dependencies
+const express = require("express");
+const prisma = require("../prisma/db");
+const {roleHierarchy, authenticateJWT, requirePermission} = require('../middleware/auth');
+const {hashToken} = require("../services/tokens");
+const {pickFields} = require("../services/audit");
+const {SCOPES, generateApiKey, parseScopes, formatScopes} = require("../services/apiKeys");
+
+// create router and endpoints
+const router = express.Router();
+
+const formatApiKey = (apiKey) => ({
+    id: apiKey.id,
+    prefix: apiKey.prefix,
+    terminal: apiKey.terminal,
+    store: apiKey.store,
+    scopes: parseScopes(apiKey.scopes),
+    utorid: apiKey.user.utorid,
+    createdBy: apiKey.createdBy.utorid,
+    createdAt: apiKey.createdAt.toISOString(),
+    lastUsedAt: apiKey.lastUsedAt ? apiKey.lastUsedAt.toISOString() : null,
+    revokedAt: apiKey.revokedAt ? apiKey.revokedAt.toISOString() : null
+});
+
+const apiKeyInclude = {
+    user: { select: { utorid: true } },
+    createdBy: { select: { utorid: true } }
+};
+
+// why a list of scopes cannot be granted, null when it can
+const scopesError = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return "scopes must be a non-empty array";
+    }
+
+    const unknown = scopes.find(scope => !SCOPES.includes(scope));
+    if (unknown !== undefined) {
+        return `Unknown scope ${unknown}`;
+    }
+
+    return null;
+};
+
+router.post("/", authenticateJWT, requirePermission("apikeys.manage"), async (req, res) => {
+    const { utorid, terminal, store, scopes } = req.body;
+
+    if (!utorid || !terminal || !store || scopes === undefined) {
+        return res.status(400).json({ error: "utorid, terminal, store, and scopes are required" });
+    }
+
+    if (typeof terminal !== 'string' || typeof store !== 'string') {
+        return res.status(400).json({ error: "terminal and store must be strings" });
+    }
+
+    const invalid = scopesError(scopes);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { utorid: utorid }
+    });
+
+    if (!user) {
+        return res.status(404).json({ error: "User not found" });
+    }
+
+    // a terminal acts as a cashier account, and never with more rights than the manager issuing it
+    if (roleHierarchy[user.role] < roleHierarchy["cashier"]) {
+        return res.status(400).json({ error: "API keys must act as a cashier or higher" });
+    }
+
+    if (roleHierarchy[user.role] > roleHierarchy[req.auth.role]) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const { key, prefix } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+        data: {
+            prefix,
+            keyHash: hashToken(key),
+            terminal,
+            store,
+            scopes: formatScopes(scopes),
+            userId: user.id,
+            createdById: req.auth.id
+        },
+        include: apiKeyInclude
+    });
+
+    res.locals.audit = { targetId: apiKey.id, after: { terminal, store, scopes: apiKey.scopes, utorid } };
+
+    // the plaintext key is only ever returned here
+    return res.status(201).json({
+        ...formatApiKey(apiKey),
+        key
+    });
+});
+
+router.get("/", authenticateJWT, requirePermission("apikeys.manage"), async (req, res) => {
+    const { terminal, store, revoked, page = 1, limit = 10 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({ error: "Invalid page number" });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1) {
+        return res.status(400).json({ error: "Invalid limit" });
+    }
+
+    const where = {};
+
+    if (terminal) {
+        where.terminal = { contains: terminal };
+    }
+
+    if (store) {
+        where.store = { contains: store };
+    }
+
+    if (revoked !== undefined) {
+        where.revokedAt = revoked === 'true' ? { not: null } : null;
+    }
+
+    const [count, apiKeys] = await Promise.all([
+        prisma.apiKey.count({ where }),
+        prisma.apiKey.findMany({
+            where,
+            skip: (pageNum - 1) * limitNum,
+            take: limitNum,
+            include: apiKeyInclude,
+            orderBy: { id: 'asc' }
+        })
+    ]);
+
+    return res.status(200).json({
+        count,
+        results: apiKeys.map(formatApiKey)
+    });
+});
+
+router.get("/:apiKeyId", authenticateJWT, requirePermission("apikeys.manage"), async (req, res) => {
+    const keyId = parseInt(req.params.apiKeyId, 10);
+    if (isNaN(keyId)) {
+        return res.status(400).json({ error: "Invalid API key ID" });
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+        where: { id: keyId },
+        include: apiKeyInclude
+    });
+
+    if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+    }
+
+    return res.status(200).json(formatApiKey(apiKey));
+});
+
+router.patch("/:apiKeyId", authenticateJWT, requirePermission("apikeys.manage"), async (req, res) => {
+    const { terminal, store, scopes } = req.body;
+
+    const keyId = parseInt(req.params.apiKeyId, 10);
+    if (isNaN(keyId)) {
+        return res.status(400).json({ error: "Invalid API key ID" });
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+        where: { id: keyId }
+    });
+
+    if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+    }
+
+    if (apiKey.revokedAt) {
+        return res.status(400).json({ error: "API key has been revoked" });
+    }
+
+    const data = {};
+
+    if (terminal !== undefined) {
+        if (typeof terminal !== 'string' || terminal.length === 0) {
+            return res.status(400).json({ error: "terminal must be a non-empty string" });
+        }
+        data.terminal = terminal;
+    }
+
+    if (store !== undefined) {
+        if (typeof store !== 'string' || store.length === 0) {
+            return res.status(400).json({ error: "store must be a non-empty string" });
+        }
+        data.store = store;
+    }
+
+    if (scopes !== undefined) {
+        const invalid = scopesError(scopes);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        data.scopes = formatScopes(scopes);
+    }
+
+    if (Object.keys(data).length === 0) {
+        return res.status(400).json({ error: "No fields to update" });
+    }
+
+    const updated = await prisma.apiKey.update({
+        where: { id: keyId },
+        data,
+        include: apiKeyInclude
+    });
+
+    res.locals.audit = { before: pickFields(apiKey, data), after: data };
+
+    return res.status(200).json(formatApiKey(updated));
+});
+
+router.delete("/:apiKeyId", authenticateJWT, requirePermission("apikeys.manage"), async (req, res) => {
+    const keyId = parseInt(req.params.apiKeyId, 10);
+    if (isNaN(keyId)) {
+        return res.status(400).json({ error: "Invalid API key ID" });
+    }
+
+    const { count } = await prisma.apiKey.updateMany({
+        where: { id: keyId, revokedAt: null },
+        data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+        const apiKey = await prisma.apiKey.findUnique({
+            where: { id: keyId }
+        });
+
+        if (!apiKey) {
+            return res.status(404).json({ error: "API key not found" });
+        }
+    }
+
+    return res.status(204).send();
+});
+
+module.exports = router;
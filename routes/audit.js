@@ -0,0 +1,92 @@
+'use strict'
+
+// require all dependencies
+const express = require("express");
+const prisma = require("../prisma/db");
+const {authenticateJWT, requirePermission} = require('../middleware/auth');
+
+// create router and endpoints
+const router = express.Router();
+
+router.get("/", authenticateJWT, requirePermission("audit.view"), async (req, res) => {
+    const { actor, action, targetType, targetId, from, to, page = 1, limit = 10 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({ error: "Invalid page number" });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1) {
+        return res.status(400).json({ error: "Invalid limit" });
+    }
+
+    const where = {};
+
+    if (actor) {
+        where.actor = { utorid: actor };
+    }
+
+    if (action) {
+        where.action = { contains: action };
+    }
+
+    if (targetType) {
+        where.targetType = targetType;
+    }
+
+    if (targetId) {
+        where.targetId = targetId;
+    }
+
+    if (from || to) {
+        where.createdAt = {};
+
+        if (from) {
+            const start = new Date(from);
+            if (isNaN(start.getTime())) {
+                return res.status(400).json({ error: "Invalid date format" });
+            }
+            where.createdAt.gte = start;
+        }
+
+        if (to) {
+            const end = new Date(to);
+            if (isNaN(end.getTime())) {
+                return res.status(400).json({ error: "Invalid date format" });
+            }
+            where.createdAt.lte = end;
+        }
+    }
+
+    const [count, entries] = await Promise.all([
+        prisma.auditLog.count({ where }),
+        prisma.auditLog.findMany({
+            where,
+            skip: (pageNum - 1) * limitNum,
+            take: limitNum,
+            include: {
+                actor: { select: { utorid: true } }
+            },
+            orderBy: { id: 'desc' }
+        })
+    ]);
+
+    const results = entries.map(entry => ({
+        id: entry.id,
+        actor: entry.actor ? entry.actor.utorid : null,
+        apiKeyId: entry.apiKeyId,
+        action: entry.action,
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        before: entry.before !== null ? JSON.parse(entry.before) : null,
+        after: entry.after !== null ? JSON.parse(entry.after) : null,
+        ip: entry.ip,
+        createdAt: entry.createdAt.toISOString()
+    }));
+
+    return res.status(200).json({ count, results });
+});
+
+module.exports = router;
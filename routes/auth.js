@@ -9,38 +9,380 @@ const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const {v4: uuidv4} = require("uuid")
 const prisma = require("../prisma/db");
+const {authenticateJWT, requirePermission} = require("../middleware/auth");
+const {getSetting} = require("../services/settings");
+const {hashToken, issueTokens, issueChallengeToken, revokeSessions} = require("../services/tokens");
+const {lockedUntil, recordFailure, clearThrottle} = require("../services/throttle");
+const {verifyCode} = require("../services/totp");
+const {exposeTokens, sendResetEmail, sendVerificationEmail} = require("../services/mailer");
+const {passwordRegex, validateNewUser, findUserConflict} = require("../services/users");
+const {verifyCaptcha} = require("../services/captcha");
 
 // rate limiting tracker
 const resetAttempts = new Map();
 
+// lockout policies for failed logins, an IP gets more free attempts since it may be shared
+const loginPolicies = async () => {
+    const baseSeconds = await getSetting("loginLockoutBaseSeconds");
+    const maxSeconds = await getSetting("loginLockoutMaxSeconds");
+    return {
+        utorid: { freeAttempts: await getSetting("loginFreeAttempts"), baseSeconds, maxSeconds },
+        ip: { freeAttempts: await getSetting("loginIpFreeAttempts"), baseSeconds, maxSeconds }
+    };
+};
+
+// record a failed login for review and count it against the account and the IP
+const loginFailed = async (utorid, ip, reason) => {
+    const policies = await loginPolicies();
+    await prisma.loginAttempt.create({data: {utorid, ip, success: false, reason}});
+    await recordFailure(`login:utorid:${utorid}`, policies.utorid);
+    await recordFailure(`login:ip:${ip}`, policies.ip);
+};
+
+// log the user in once every factor has been checked
+const completeLogin = async (res, user, ip, mfa) => {
+    await prisma.loginAttempt.create({data: {utorid: user.utorid, ip, success: true}});
+    await clearThrottle(`login:utorid:${user.utorid}`);
+
+    const tokens = await issueTokens(user, prisma, mfa);
+    await prisma.user.update({where: {id: user.id}, data: {lastLogin: new Date()}});
+
+    return res.status(200).json({
+        token: tokens.token,
+        expiresAt: tokens.expiresAt.toISOString(),
+        refreshToken: tokens.refreshToken,
+        refreshExpiresAt: tokens.refreshExpiresAt.toISOString()
+    });
+};
+
 // create router and endpoints
 const router = express.Router();
 
 router.post("/tokens", async (req, res) => {
     const {utorid, password} = req.body;
-    if (!utorid || !password) {
+    if (!utorid || !password || typeof utorid !== 'string' || typeof password !== 'string') {
         return res.status(400).json({error: "Utorid and password are required"});
     }
+
+    const ip = req.ip;
+    const lockedAt = await lockedUntil([`login:utorid:${utorid}`, `login:ip:${ip}`]);
+
+    if (lockedAt) {
+        await prisma.loginAttempt.create({data: {utorid, ip, success: false, reason: "locked"}});
+        res.set("Retry-After", String(Math.ceil((lockedAt - Date.now()) / 1000)));
+        return res.status(429).json({error: "Too many failed attempts, try again later", lockedUntil: lockedAt.toISOString()});
+    }
+
     const user = await prisma.user.findUnique({where: {utorid: utorid}});
 
-    if(!user) {
+    if(!user || user.deletedAt) {
+        await loginFailed(utorid, ip, "unknown_user");
         return res.status(401).json({error: "Invalid credentials"});
     }
 
     if (!user.password) {
+        await loginFailed(utorid, ip, "not_activated");
         return res.status(401).json({ error: "Invalid credentials" });
     }
 
     if(!await bcrypt.compare(password, user.password)) {
+        await loginFailed(utorid, ip, "bad_password");
         return res.status(401).json({error: "Invalid credentials" }) ;
     }
 
-    const token = jwt.sign({ id: user.id, utorid: user.utorid, role: user.role }, process.env.JWT_SECRET, {expiresIn: "24h"});
-    const expiresAt = new Date(Date.now() + 24*60*60*1000);
-    await prisma.user.update({where: {id: user.id}, data: {lastLogin: new Date()}});
+    if (user.totpEnabled) {
+        const challenge = issueChallengeToken(user);
+        return res.status(200).json({
+            mfaRequired: true,
+            mfaToken: challenge.token,
+            expiresAt: challenge.expiresAt.toISOString()
+        });
+    }
 
-    return res.status(200).json({token: token, expiresAt: expiresAt.toISOString()})
-    
+    return completeLogin(res, user, ip, false);
+});
+
+router.post("/tokens/2fa", async (req, res) => {
+    const {mfaToken, code, recoveryCode} = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+        return res.status(400).json({error: "mfaToken and code or recoveryCode are required"});
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(mfaToken, process.env.JWT_SECRET, {algorithms: ['HS256']});
+    } catch (err) {
+        return res.status(401).json({error: "Invalid or expired mfaToken"});
+    }
+
+    if (payload.purpose !== "mfa") {
+        return res.status(401).json({error: "Invalid or expired mfaToken"});
+    }
+
+    const user = await prisma.user.findUnique({where: {id: payload.id}});
+
+    if (!user || !user.totpEnabled) {
+        return res.status(401).json({error: "Invalid or expired mfaToken"});
+    }
+
+    const ip = req.ip;
+    const lockedAt = await lockedUntil([`login:utorid:${user.utorid}`, `login:ip:${ip}`]);
+
+    if (lockedAt) {
+        await prisma.loginAttempt.create({data: {utorid: user.utorid, ip, success: false, reason: "locked"}});
+        res.set("Retry-After", String(Math.ceil((lockedAt - Date.now()) / 1000)));
+        return res.status(429).json({error: "Too many failed attempts, try again later", lockedUntil: lockedAt.toISOString()});
+    }
+
+    if (code) {
+        const counter = verifyCode(user.totpSecret, code);
+
+        // a code is only good once, so a replayed one from the same time step is refused
+        const {count} = counter === null ? {count: 0} : await prisma.user.updateMany({
+            where: {
+                id: user.id,
+                OR: [{totpLastCounter: null}, {totpLastCounter: {lt: counter}}]
+            },
+            data: {totpLastCounter: counter}
+        });
+
+        if (count === 0) {
+            await loginFailed(user.utorid, ip, "bad_totp");
+            return res.status(401).json({error: "Invalid code"});
+        }
+    } else {
+        const codeHash = hashToken(String(recoveryCode).trim().toLowerCase());
+        const {count} = await prisma.recoveryCode.updateMany({
+            where: {userId: user.id, codeHash, usedAt: null},
+            data: {usedAt: new Date()}
+        });
+
+        if (count === 0) {
+            await loginFailed(user.utorid, ip, "bad_recovery_code");
+            return res.status(401).json({error: "Invalid recovery code"});
+        }
+    }
+
+    return completeLogin(res, user, ip, true);
+});
+
+router.post("/refresh", async (req, res) => {
+    const {refreshToken} = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({error: "refreshToken is required"});
+    }
+
+    const stored = await prisma.refreshToken.findUnique({
+        where: {tokenHash: hashToken(refreshToken)},
+        include: {user: true}
+    });
+
+    if (!stored) {
+        return res.status(401).json({error: "Invalid refresh token"});
+    }
+
+    // a rotated token being presented again means it leaked, end every session of the user
+    if (stored.revokedAt) {
+        await revokeSessions(stored.userId);
+        return res.status(401).json({error: "Invalid refresh token"});
+    }
+
+    if (stored.expiresAt < new Date() || stored.tokenVersion !== stored.user.tokenVersion) {
+        return res.status(401).json({error: "Refresh token expired"});
+    }
+
+    const tokens = await prisma.$transaction(async (tx) => {
+        const {count} = await tx.refreshToken.updateMany({
+            where: {id: stored.id, revokedAt: null},
+            data: {revokedAt: new Date()}
+        });
+
+        if (count === 0) {
+            return null;
+        }
+
+        const issued = await issueTokens(stored.user, tx, stored.mfa);
+        await tx.refreshToken.update({
+            where: {id: stored.id},
+            data: {replacedById: issued.id}
+        });
+        return issued;
+    });
+
+    if (!tokens) {
+        return res.status(401).json({error: "Invalid refresh token"});
+    }
+
+    return res.status(200).json({
+        token: tokens.token,
+        expiresAt: tokens.expiresAt.toISOString(),
+        refreshToken: tokens.refreshToken,
+        refreshExpiresAt: tokens.refreshExpiresAt.toISOString()
+    });
+});
+
+router.delete("/tokens", authenticateJWT, requirePermission("account.manage"), async (req, res) => {
+    const {refreshToken, all} = req.body || {};
+
+    if (all === true) {
+        await revokeSessions(req.auth.id);
+        return res.status(204).send();
+    }
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({error: "refreshToken is required"});
+    }
+
+    await prisma.refreshToken.updateMany({
+        where: {tokenHash: hashToken(refreshToken), userId: req.auth.id, revokedAt: null},
+        data: {revokedAt: new Date()}
+    });
+
+    return res.status(204).send();
+});
+
+router.get("/attempts", authenticateJWT, requirePermission("logins.view"), async (req, res) => {
+    const {utorid, ip, success, page = 1, limit = 10} = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({error: "Invalid page number"});
+    }
+
+    if (isNaN(limitNum) || limitNum < 1) {
+        return res.status(400).json({error: "Invalid limit"});
+    }
+
+    const where = {};
+
+    if (utorid) {
+        where.utorid = utorid;
+    }
+
+    if (ip) {
+        where.ip = ip;
+    }
+
+    if (success !== undefined) {
+        where.success = success === 'true';
+    }
+
+    const [count, attempts] = await Promise.all([
+        prisma.loginAttempt.count({where}),
+        prisma.loginAttempt.findMany({
+            where,
+            skip: (pageNum - 1) * limitNum,
+            take: limitNum,
+            orderBy: {id: 'desc'}
+        })
+    ]);
+
+    const results = attempts.map(attempt => ({
+        id: attempt.id,
+        utorid: attempt.utorid,
+        ip: attempt.ip,
+        success: attempt.success,
+        reason: attempt.reason,
+        createdAt: attempt.createdAt.toISOString()
+    }));
+
+    return res.status(200).json({count, results});
+});
+
+router.post("/register", async (req, res) => {
+    const {utorid, name, email, password, captchaToken} = req.body;
+
+    if (!await verifyCaptcha(captchaToken, req.ip)) {
+        return res.status(400).json({error: "CAPTCHA verification failed"});
+    }
+
+    const invalid = validateNewUser({utorid, name, email});
+    if (invalid) {
+        return res.status(400).json({error: invalid});
+    }
+
+    if (!password || typeof password !== 'string' || !passwordRegex.test(password)) {
+        return res.status(400).json({error: "Invalid password format"});
+    }
+
+    const conflict = await findUserConflict({utorid, email});
+    if (conflict) {
+        return res.status(409).json({error: conflict});
+    }
+
+    const verifyToken = uuidv4();
+    const verificationTokenHours = await getSetting("verificationTokenHours");
+    const expiresAt = new Date(Date.now() + verificationTokenHours * 60 * 60 * 1000);
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const user = await prisma.user.create({
+        data: {
+            utorid: utorid,
+            name: name,
+            email: email,
+            password: hashedPassword,
+            role: "regular",
+            verified: false,
+            points: 0,
+            verifyToken: verifyToken,
+            verifyTokenExpiry: expiresAt
+        }
+    });
+
+    try {
+        await sendVerificationEmail(user, verifyToken, expiresAt);
+    } catch (err) {
+        console.error(`cannot send verification email to ${user.email}: ${err.message}`);
+    }
+
+    const response = {
+        id: user.id,
+        utorid: user.utorid,
+        name: user.name,
+        email: user.email,
+        verified: user.verified,
+        expiresAt: expiresAt.toISOString()
+    };
+
+    if (exposeTokens) {
+        response.verifyToken = verifyToken;
+    }
+
+    return res.status(201).json(response);
+});
+
+router.post("/verify/:verifyToken", async (req, res) => {
+    const {verifyToken} = req.params;
+
+    const user = await prisma.user.findFirst({
+        where: {verifyToken}
+    });
+
+    if (!user) {
+        return res.status(404).json({error: "Invalid verification token"});
+    }
+
+    if (user.verifyTokenExpiry < new Date()) {
+        return res.status(410).json({error: "Verification token expired"});
+    }
+
+    await prisma.user.update({
+        where: {id: user.id},
+        data: {
+            verified: true,
+            verifyToken: null,
+            verifyTokenExpiry: null
+        }
+    });
+
+    // the token is a secret, the audit log identifies the account instead
+    res.locals.audit = { targetType: "users", targetId: user.id };
+
+    return res.status(200).json({message: "Email verified"});
 });
 
 router.post("/resets", async (req, res) => {
@@ -52,22 +394,24 @@ router.post("/resets", async (req, res) => {
     
     const user = await prisma.user.findUnique({where: { utorid }});
     
-    if (!user) {
+    if (!user || user.deletedAt) {
         return res.status(404).json({error: "User not found"});
     }
     
     const ip = req.ip;
+    const rateLimitSeconds = await getSetting("resetRateLimitSeconds");
     if (resetAttempts.has(ip)) {
         const lastAttempt = resetAttempts.get(ip);
         const timeSinceLastAttempt = Date.now() - lastAttempt;
         
-        if (timeSinceLastAttempt < 60000) {
+        if (timeSinceLastAttempt < rateLimitSeconds * 1000) {
             return res.status(429).json({error: "Too many requests"});
         }
     }
     
     const resetToken = uuidv4();
-    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    const resetTokenMinutes = await getSetting("resetTokenMinutes");
+    const expiresAt = new Date(Date.now() + resetTokenMinutes * 60 * 1000);
     
     await prisma.user.update({
         where: { id: user.id },
@@ -78,7 +422,17 @@ router.post("/resets", async (req, res) => {
     });
     
     resetAttempts.set(ip, Date.now());
+
+    try {
+        await sendResetEmail(user, resetToken, expiresAt);
+    } catch (err) {
+        console.error(`cannot send reset email to ${user.email}: ${err.message}`);
+    }
     
+    if (!exposeTokens) {
+        return res.status(202).json({expiresAt: expiresAt.toISOString()});
+    }
+
     return res.status(202).json({expiresAt: expiresAt.toISOString(), resetToken: resetToken});
 });
 
@@ -90,7 +444,6 @@ router.post('/resets/:resetToken', async (req, res) => {
         return res.status(400).json({error: "utorid and password are required"});
     }
     
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,20}$/;
     if (!passwordRegex.test(password)) {
         return res.status(400).json({error: "Invalid password format"});
     }
@@ -121,6 +474,11 @@ router.post('/resets/:resetToken', async (req, res) => {
             resetTokenExpiry: null
         }
     });
+
+    await revokeSessions(user.id);
+
+    // the token is a secret, the audit log identifies the account instead
+    res.locals.audit = { targetType: "users", targetId: user.id };
     
     return res.status(200).json({message: "Password reset successful"});
 });
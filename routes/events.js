@@ -3,12 +3,60 @@
 // require all dependencies
 const express = require("express");
 const prisma = require("../prisma/db");
-const {authenticateJWT, requireRole} = require("../middleware/auth");
+const {authenticateJWT, requirePermission, can} = require("../middleware/auth");
+const idempotent = require("../middleware/idempotency");
+const {pickFields} = require("../services/audit");
+const {exportFormatError, streamExport} = require("../services/export");
+const {withLedger, postTransaction, drawEventPoints} = require("../services/ledger");
 
 // create router and endpoints
 const router = express.Router();
 
-router.post("/", authenticateJWT, requireRole("manager"), async (req, res) => {
+// query filters shared by the event list and export, only managers see unpublished events
+const buildEventFilter = (query, canManage) => {
+    const { name, location, started, ended, published } = query;
+
+    const where = {};
+    const now = new Date();
+
+    if (name) {
+        where.name = { contains: name };
+    }
+
+    if (location) {
+        where.location = { contains: location };
+    }
+
+    if (started !== undefined && ended !== undefined) {
+        return { error: "Cannot specify both started and ended" };
+    }
+
+    if (started !== undefined) {
+        if (started === 'true') {
+            where.startTime = { lte: now };
+        } else {
+            where.startTime = { gt: now };
+        }
+    }
+
+    if (ended !== undefined) {
+        if (ended === 'true') {
+            where.endTime = { lt: now };
+        } else {
+            where.endTime = { gte: now };
+        }
+    }
+
+    if (!canManage) {
+        where.published = true;
+    } else if (published !== undefined) {
+        where.published = published === 'true';
+    }
+
+    return { where };
+};
+
+router.post("/", authenticateJWT, requirePermission("events.create"), async (req, res) => {
     const { name, description, location, startTime, endTime, capacity, points } = req.body;
 
     if (!name || !description || !location || !startTime || !endTime || points === undefined) {
@@ -78,6 +126,8 @@ router.post("/", authenticateJWT, requireRole("manager"), async (req, res) => {
 
     const pointsRemain = event.pointsTotal - event.pointsAwarded;
 
+    res.locals.audit = { targetId: event.id, after: { name, pointsTotal: points } };
+
     return res.status(201).json({
         id: event.id,
         name: event.name,
@@ -94,9 +144,8 @@ router.post("/", authenticateJWT, requireRole("manager"), async (req, res) => {
     });
 });
 
-router.get("/", authenticateJWT, requireRole("regular"), async (req, res) => {
-    const { name, location, started, ended, showFull, page = 1, limit = 10 } = req.query;
-    const currentUserRole = req.auth.role;
+router.get("/", authenticateJWT, requirePermission("events.view"), async (req, res) => {
+    const { showFull, page = 1, limit = 10 } = req.query;
 
     const pageNum = parseInt(page, 10);
     const limitNum = parseInt(limit, 10);
@@ -109,67 +158,11 @@ router.get("/", authenticateJWT, requireRole("regular"), async (req, res) => {
         return res.status(400).json({ error: "Invalid limit" });
     }
 
-    const where = {};
-    const now = new Date();
-
-    if (name) {
-        where.name = { contains: name };
-    }
+    const canManage = can(req, "events.manage");
 
-    if (location) {
-        where.location = { contains: location };
-    }
-
-    const isManagerOrHigher = currentUserRole === "manager" || currentUserRole === "superuser";
-
-    if (!isManagerOrHigher) {
-        where.published = true;
-
-        if (started !== undefined && ended !== undefined) {
-            return res.status(400).json({ error: "Cannot specify both started and ended" });
-        }
-
-        if (started !== undefined) {
-            if (started === 'true') {
-                where.startTime = { lte: now };
-            } else {
-                where.startTime = { gt: now };
-            }
-        }
-
-        if (ended !== undefined) {
-            if (ended === 'true') {
-                where.endTime = { lt: now };
-            } else {
-                where.endTime = { gte: now };
-            }
-        }
-    } else {
-        const { published } = req.query;
-
-        if (started !== undefined && ended !== undefined) {
-            return res.status(400).json({ error: "Cannot specify both started and ended" });
-        }
-
-        if (started !== undefined) {
-            if (started === 'true') {
-                where.startTime = { lte: now };
-            } else {
-                where.startTime = { gt: now };
-            }
-        }
-
-        if (ended !== undefined) {
-            if (ended === 'true') {
-                where.endTime = { lt: now };
-            } else {
-                where.endTime = { gte: now };
-            }
-        }
-
-        if (published !== undefined) {
-            where.published = published === 'true';
-        }
+    const { where, error } = buildEventFilter(req.query, canManage);
+    if (error) {
+        return res.status(400).json({ error });
     }
 
     let events = await prisma.event.findMany({
@@ -182,7 +175,7 @@ router.get("/", authenticateJWT, requireRole("regular"), async (req, res) => {
 
     const count = events.length;
 
-    if (!isManagerOrHigher && showFull !== 'true') {
+    if (!canManage && showFull !== 'true') {
         events = events.filter(event => {
             return event.capacity === null || event.guests.length < event.capacity;
         });
@@ -201,7 +194,7 @@ router.get("/", authenticateJWT, requireRole("regular"), async (req, res) => {
             numGuests: event.guests.length
         };
 
-        if (isManagerOrHigher) {
+        if (canManage) {
             result.pointsRemain = event.pointsTotal - event.pointsAwarded;
             result.pointsAwarded = event.pointsAwarded;
             result.published = event.published;
@@ -211,14 +204,54 @@ router.get("/", authenticateJWT, requireRole("regular"), async (req, res) => {
     });
 
     return res.status(200).json({
-        count: isManagerOrHigher ? count : events.length,
+        count: canManage ? count : events.length,
         results
     });
 });
 
-router.get("/:eventId", authenticateJWT, requireRole("regular"), async (req, res) => {
+// the whole filtered list as CSV or NDJSON, streamed in batches
+router.get("/export", authenticateJWT, requirePermission("events.manage"), async (req, res) => {
+    const { format = "csv" } = req.query;
+
+    const formatError = exportFormatError(format);
+    if (formatError) {
+        return res.status(400).json({ error: formatError });
+    }
+
+    const { where, error } = buildEventFilter(req.query, true);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    await streamExport(res, {
+        format,
+        filename: "events",
+        columns: ["id", "name", "location", "startTime", "endTime", "capacity", "numGuests", "numOrganizers",
+            "pointsTotal", "pointsAwarded", "pointsRemain", "published"],
+        fetchBatch: (page) => prisma.event.findMany({
+            where,
+            include: { _count: { select: { guests: true, organizers: true } } },
+            ...page
+        }),
+        toRecord: (event) => ({
+            id: event.id,
+            name: event.name,
+            location: event.location,
+            startTime: event.startTime.toISOString(),
+            endTime: event.endTime.toISOString(),
+            capacity: event.capacity,
+            numGuests: event._count.guests,
+            numOrganizers: event._count.organizers,
+            pointsTotal: event.pointsTotal,
+            pointsAwarded: event.pointsAwarded,
+            pointsRemain: event.pointsTotal - event.pointsAwarded,
+            published: event.published
+        })
+    });
+});
+
+router.get("/:eventId", authenticateJWT, requirePermission("events.view"), async (req, res) => {
     const { eventId } = req.params;
-    const currentUserRole = req.auth.role;
     const currentUserId = req.auth.id;
 
     const evtId = parseInt(eventId, 10);
@@ -242,10 +275,10 @@ router.get("/:eventId", authenticateJWT, requireRole("regular"), async (req, res
         return res.status(404).json({ error: "Event not found" });
     }
 
-    const isManagerOrHigher = currentUserRole === "manager" || currentUserRole === "superuser";
+    const canManage = can(req, "events.manage");
     const isOrganizer = event.organizers.some(org => org.userId === currentUserId);
 
-    if (!isManagerOrHigher && !isOrganizer && !event.published) {
+    if (!canManage && !isOrganizer && !event.published) {
         return res.status(404).json({ error: "Event not found" });
     }
 
@@ -264,7 +297,7 @@ router.get("/:eventId", authenticateJWT, requireRole("regular"), async (req, res
         }))
     };
 
-    if (isManagerOrHigher || isOrganizer) {
+    if (canManage || isOrganizer) {
         response.pointsRemain = event.pointsTotal - event.pointsAwarded;
         response.pointsAwarded = event.pointsAwarded;
         response.published = event.published;
@@ -276,10 +309,9 @@ router.get("/:eventId", authenticateJWT, requireRole("regular"), async (req, res
     return res.status(200).json(response);
 });
 
-router.patch("/:eventId", authenticateJWT, async (req, res) => {
+router.patch("/:eventId", authenticateJWT, requirePermission(["events.organize", "events.manage"]), async (req, res) => {
     const { eventId } = req.params;
     const { name, description, location, startTime, endTime, capacity, points, published } = req.body;
-    const currentUserRole = req.auth.role;
     const currentUserId = req.auth.id;
 
     const evtId = parseInt(eventId, 10);
@@ -299,10 +331,10 @@ router.patch("/:eventId", authenticateJWT, async (req, res) => {
         return res.status(404).json({ error: "Event not found" });
     }
 
-    const isManagerOrHigher = currentUserRole === "manager" || currentUserRole === "superuser";
-    const isOrganizer = event.organizers.some(org => org.userId === currentUserId);
+    const canManage = can(req, "events.manage");
+    const isOrganizer = can(req, "events.organize") && event.organizers.some(org => org.userId === currentUserId);
 
-    if (!isManagerOrHigher && !isOrganizer) {
+    if (!canManage && !isOrganizer) {
         return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
@@ -367,7 +399,7 @@ router.patch("/:eventId", authenticateJWT, async (req, res) => {
     }
 
     if (points !== undefined && points !== null) {
-        if (!isManagerOrHigher) {
+        if (!canManage) {
             return res.status(403).json({ error: "Only managers can update points" });
         }
         if (!Number.isInteger(points) || points <= 0) {
@@ -380,7 +412,7 @@ router.patch("/:eventId", authenticateJWT, async (req, res) => {
     }
 
     if (published !== undefined && published !== null) {
-        if (!isManagerOrHigher) {
+        if (!can(req, "events.publish")) {
             return res.status(403).json({ error: "Only managers can publish events" });
         }
         if (published !== true) {
@@ -414,6 +446,8 @@ router.patch("/:eventId", authenticateJWT, async (req, res) => {
         data: updateData
     });
 
+    res.locals.audit = { before: pickFields(event, updateData), after: updateData };
+
     const response = {
         id: event.id,
         name: updateData.name || event.name,
@@ -433,7 +467,7 @@ router.patch("/:eventId", authenticateJWT, async (req, res) => {
     return res.status(200).json(response);
 });
 
-router.delete("/:eventId", authenticateJWT, requireRole("manager"), async (req, res) => {
+router.delete("/:eventId", authenticateJWT, requirePermission("events.manage"), async (req, res) => {
     const { eventId } = req.params;
 
     const evtId = parseInt(eventId, 10);
@@ -457,10 +491,12 @@ router.delete("/:eventId", authenticateJWT, requireRole("manager"), async (req,
         where: { id: evtId }
     });
 
+    res.locals.audit = { before: { name: event.name, pointsTotal: event.pointsTotal } };
+
     return res.status(204).send();
 });
 
-router.post("/:eventId/organizers", authenticateJWT, requireRole("manager"), async (req, res) => {
+router.post("/:eventId/organizers", authenticateJWT, requirePermission("events.manage"), async (req, res) => {
     const { eventId } = req.params;
     const { utorid } = req.body;
 
@@ -531,7 +567,7 @@ router.post("/:eventId/organizers", authenticateJWT, requireRole("manager"), asy
     });
 });
 
-router.delete("/:eventId/organizers/:userId", authenticateJWT, requireRole("manager"), async (req, res) => {
+router.delete("/:eventId/organizers/:userId", authenticateJWT, requirePermission("events.manage"), async (req, res) => {
     const { eventId, userId } = req.params;
 
     const evtId = parseInt(eventId, 10);
@@ -551,10 +587,9 @@ router.delete("/:eventId/organizers/:userId", authenticateJWT, requireRole("mana
     return res.status(204).send();
 });
 
-router.post("/:eventId/guests", authenticateJWT, async (req, res) => {
+router.post("/:eventId/guests", authenticateJWT, requirePermission(["events.organize", "events.manage"]), async (req, res) => {
     const { eventId } = req.params;
     const { utorid } = req.body;
-    const currentUserRole = req.auth.role;
     const currentUserId = req.auth.id;
 
     const evtId = parseInt(eventId, 10);
@@ -578,14 +613,14 @@ router.post("/:eventId/guests", authenticateJWT, async (req, res) => {
         return res.status(404).json({ error: "Event not found" });
     }
 
-    const isManagerOrHigher = currentUserRole === "manager" || currentUserRole === "superuser";
-    const isOrganizer = event.organizers.some(org => org.userId === currentUserId);
+    const canManage = can(req, "events.manage");
+    const isOrganizer = can(req, "events.organize") && event.organizers.some(org => org.userId === currentUserId);
 
-    if (!isManagerOrHigher && !isOrganizer) {
+    if (!canManage && !isOrganizer) {
         return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    if (!isManagerOrHigher && !event.published) {
+    if (!canManage && !event.published) {
         return res.status(404).json({ error: "Event not found" });
     }
 
@@ -625,7 +660,7 @@ router.post("/:eventId/guests", authenticateJWT, async (req, res) => {
     });
 });
 
-router.delete("/:eventId/guests/me", authenticateJWT, requireRole("regular"), async (req, res) => {
+router.delete("/:eventId/guests/me", authenticateJWT, requirePermission("events.attend"), async (req, res) => {
     const { eventId } = req.params;
     const currentUserId = req.auth.id;
 
@@ -664,7 +699,7 @@ router.delete("/:eventId/guests/me", authenticateJWT, requireRole("regular"), as
     return res.status(204).send();
 });
 
-router.delete("/:eventId/guests/:userId", authenticateJWT, requireRole("manager"), async (req, res) => {
+router.delete("/:eventId/guests/:userId", authenticateJWT, requirePermission("events.manage"), async (req, res) => {
     const { eventId, userId } = req.params;
 
     const evtId = parseInt(eventId, 10);
@@ -684,7 +719,7 @@ router.delete("/:eventId/guests/:userId", authenticateJWT, requireRole("manager"
     return res.status(204).send();
 });
 
-router.post("/:eventId/guests/me", authenticateJWT, requireRole("regular"), async (req, res) => {
+router.post("/:eventId/guests/me", authenticateJWT, requirePermission("events.attend"), async (req, res) => {
     const { eventId } = req.params;
     const currentUserId = req.auth.id;
 
@@ -741,10 +776,9 @@ router.post("/:eventId/guests/me", authenticateJWT, requireRole("regular"), asyn
     });
 });
 
-router.post("/:eventId/transactions", authenticateJWT, async (req, res) => {
+router.post("/:eventId/transactions", authenticateJWT, requirePermission(["events.organize", "events.manage"]), idempotent, async (req, res) => {
     const { eventId } = req.params;
     const { type, utorid, amount, remark } = req.body;
-    const currentUserRole = req.auth.role;
     const currentUserId = req.auth.id;
 
     const evtId = parseInt(eventId, 10);
@@ -774,10 +808,10 @@ router.post("/:eventId/transactions", authenticateJWT, async (req, res) => {
         return res.status(404).json({ error: "Event not found" });
     }
 
-    const isManagerOrHigher = currentUserRole === "manager" || currentUserRole === "superuser";
-    const isOrganizer = event.organizers.some(org => org.userId === currentUserId);
+    const canManage = can(req, "events.manage");
+    const isOrganizer = can(req, "events.organize") && event.organizers.some(org => org.userId === currentUserId);
 
-    if (!isManagerOrHigher && !isOrganizer) {
+    if (!canManage && !isOrganizer) {
         return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
@@ -801,25 +835,19 @@ router.post("/:eventId/transactions", authenticateJWT, async (req, res) => {
             return res.status(400).json({ error: "Insufficient points remaining" });
         }
 
-        const transaction = await prisma.transaction.create({
-            data: {
+        const transaction = await withLedger(async (tx) => {
+            const created = await postTransaction(tx, {
                 type: "event",
                 amount: amount,
                 remark: remark || "",
                 ownerUserId: user.id,
                 creatorUserId: currentUserId,
                 eventId: evtId
-            }
-        });
+            });
 
-        await prisma.user.update({
-            where: { id: user.id },
-            data: { points: { increment: amount } }
-        });
+            await drawEventPoints(tx, evtId, amount);
 
-        await prisma.event.update({
-            where: { id: evtId },
-            data: { pointsAwarded: { increment: amount } }
+            return created;
         });
 
         return res.status(201).json({
@@ -838,44 +866,38 @@ router.post("/:eventId/transactions", authenticateJWT, async (req, res) => {
         return res.status(400).json({ error: "Insufficient points remaining" });
     }
 
-    const transactions = [];
-    for (const guest of event.guests) {
-        const transaction = await prisma.transaction.create({
-            data: {
+    const transactions = await withLedger(async (tx) => {
+        const awarded = [];
+        for (const guest of event.guests) {
+            const transaction = await postTransaction(tx, {
                 type: "event",
                 amount: amount,
                 remark: remark || "",
                 ownerUserId: guest.userId,
                 creatorUserId: currentUserId,
                 eventId: evtId
-            }
-        });
+            });
 
-        await prisma.user.update({
-            where: { id: guest.userId },
-            data: { points: { increment: amount } }
-        });
+            awarded.push({
+                id: transaction.id,
+                recipient: guest.user.utorid,
+                awarded: amount,
+                type: "event",
+                relatedId: evtId,
+                remark: remark || "",
+                createdBy: req.auth.utorid
+            });
+        }
 
-        transactions.push({
-            id: transaction.id,
-            recipient: guest.user.utorid,
-            awarded: amount,
-            type: "event",
-            relatedId: evtId,
-            remark: remark || "",
-            createdBy: req.auth.utorid
-        });
-    }
+        await drawEventPoints(tx, evtId, totalAmount);
 
-    await prisma.event.update({
-        where: { id: evtId },
-        data: { pointsAwarded: { increment: totalAmount } }
+        return awarded;
     });
 
     return res.status(201).json(transactions);
 });
 
-router.get("/organizing/me", authenticateJWT, requireRole("regular"), async (req, res) => {
+router.get("/organizing/me", authenticateJWT, requirePermission("events.organize"), async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
     const currentUserId = req.auth.id;
 
@@ -932,9 +954,8 @@ router.get("/organizing/me", authenticateJWT, requireRole("regular"), async (req
     });
 });
 
-router.get("/:eventId/guests", authenticateJWT, async (req, res) => {
+router.get("/:eventId/guests", authenticateJWT, requirePermission(["events.organize", "events.manage"]), async (req, res) => {
     const { eventId } = req.params;
-    const currentUserRole = req.auth.role;
     const currentUserId = req.auth.id;
 
     const evtId = parseInt(eventId, 10);
@@ -958,10 +979,10 @@ router.get("/:eventId/guests", authenticateJWT, async (req, res) => {
         return res.status(404).json({ error: "Event not found" });
     }
 
-    const isManagerOrHigher = currentUserRole === "manager" || currentUserRole === "superuser";
-    const isOrganizer = event.organizers.some(org => org.userId === currentUserId);
+    const canManage = can(req, "events.manage");
+    const isOrganizer = can(req, "events.organize") && event.organizers.some(org => org.userId === currentUserId);
 
-    if (!isManagerOrHigher && !isOrganizer) {
+    if (!canManage && !isOrganizer) {
         return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
@@ -974,7 +995,7 @@ router.get("/:eventId/guests", authenticateJWT, async (req, res) => {
     return res.status(200).json(guests);
 });
 
-router.get("/:eventId/guests/me", authenticateJWT, requireRole("regular"), async (req, res) => {
+router.get("/:eventId/guests/me", authenticateJWT, requirePermission("events.attend"), async (req, res) => {
     const { eventId } = req.params;
     const currentUserId = req.auth.id;
 
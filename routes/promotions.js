@@ -3,13 +3,36 @@
 // require all dependencies
 const express = require("express");
 const prisma = require("../prisma/db");
-const {authenticateJWT, requireRole} = require('../middleware/auth');
+const {authenticateJWT, requirePermission, can} = require('../middleware/auth');
+const {pickFields} = require("../services/audit");
+const {ruleError, parseRules} = require("../services/promotionRules");
+const {codeRequestError, generatePromoCodes, formatPromoCode} = require("../services/promoCodes");
 
 // create router and endpoints
 const router = express.Router();
 
-router.post("/", authenticateJWT, requireRole("manager"), async (req, res) => {
-    const {name, description, type, startTime, endTime, minSpending, rate, points} = req.body;
+const LIMIT_FIELDS = ["budget", "maxRedemptions", "perUserLimit"];
+
+// why a budget or usage limit cannot be stored, null when it can; null removes a limit
+const limitFieldError = (field, value) => {
+    if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+        return `${field} must be a positive integer`;
+    }
+    return null;
+};
+
+// budget, usage and code requirement of a promotion, only shown to managers
+const formatLimits = (promotion) => ({
+    codeOnly: promotion.codeOnly,
+    budget: promotion.budget,
+    pointsAwarded: promotion.pointsAwarded,
+    maxRedemptions: promotion.maxRedemptions,
+    redemptionCount: promotion.redemptionCount,
+    perUserLimit: promotion.perUserLimit
+});
+
+router.post("/", authenticateJWT, requirePermission("promotions.manage"), async (req, res) => {
+    const {name, description, type, startTime, endTime, minSpending, rate, points, rules, priority, exclusive, codeOnly} = req.body;
 
 
     if (!name || !description || !type || !startTime || !endTime) {
@@ -64,6 +87,40 @@ router.post("/", authenticateJWT, requireRole("manager"), async (req, res) => {
         }
     }
 
+    if (rules !== undefined && rules !== null) {
+        const invalid = ruleError(rules);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+    }
+
+    if (priority !== undefined && priority !== null && !Number.isInteger(priority)) {
+        return res.status(400).json({ error: "priority must be an integer" });
+    }
+
+    if (exclusive !== undefined && exclusive !== null && typeof exclusive !== 'boolean') {
+        return res.status(400).json({ error: "exclusive must be a boolean" });
+    }
+
+    if (codeOnly !== undefined && codeOnly !== null) {
+        if (typeof codeOnly !== 'boolean') {
+            return res.status(400).json({ error: "codeOnly must be a boolean" });
+        }
+        if (codeOnly && type !== "one-time") {
+            return res.status(400).json({ error: "Only one-time promotions can require a promo code" });
+        }
+    }
+
+    const limits = {};
+    for (const field of LIMIT_FIELDS) {
+        const value = req.body[field] !== undefined ? req.body[field] : null;
+        const invalid = limitFieldError(field, value);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        limits[field] = value;
+    }
+
     const dbType = type === "one-time" ? "onetime" : type;
 
     const promotion = await prisma.promotion.create({
@@ -75,9 +132,16 @@ router.post("/", authenticateJWT, requireRole("manager"), async (req, res) => {
             endTime: end,
             minSpending: minSpending !== undefined && minSpending !== null ? minSpending : null,
             rate: rate !== undefined && rate !== null ? rate : null,
-            points: points !== undefined && points !== null ? points : null
+            points: points !== undefined && points !== null ? points : null,
+            rules: rules !== undefined && rules !== null ? JSON.stringify(rules) : null,
+            priority: priority !== undefined && priority !== null ? priority : 0,
+            exclusive: exclusive === true,
+            codeOnly: codeOnly === true,
+            ...limits
         }
     });
+
+    res.locals.audit = { targetId: promotion.id, after: { name, type: dbType } };
     
     return res.status(201).json({
         id: promotion.id,
@@ -88,14 +152,17 @@ router.post("/", authenticateJWT, requireRole("manager"), async (req, res) => {
         endTime: promotion.endTime.toISOString(),
         minSpending: promotion.minSpending,
         rate: promotion.rate,
-        points: promotion.points
+        points: promotion.points,
+        rules: parseRules(promotion.rules),
+        priority: promotion.priority,
+        exclusive: promotion.exclusive,
+        ...formatLimits(promotion)
     });
 
 });
 
-router.get("/", authenticateJWT, requireRole("regular"), async (req, res) => {
+router.get("/", authenticateJWT, requirePermission("promotions.view"), async (req, res) => {
     const { name, type, page = 1, limit = 10 } = req.query;
-    const currentUserRole = req.auth.role;
     const userId = req.auth.id;
 
     const pageNum = parseInt(page, 10);
@@ -120,9 +187,9 @@ router.get("/", authenticateJWT, requireRole("regular"), async (req, res) => {
         where.type = type === "one-time" ? "onetime" : type;
     }
 
-    const isManagerOrHigher = currentUserRole === "manager" || currentUserRole === "superuser";
+    const canManage = can(req, "promotions.manage");
 
-    if (!isManagerOrHigher) {
+    if (!canManage) {
         where.startTime = { lte: now };
         where.endTime = { gte: now };
 
@@ -175,10 +242,13 @@ router.get("/", authenticateJWT, requireRole("regular"), async (req, res) => {
             endTime: promo.endTime.toISOString(),
             minSpending: promo.minSpending,
             rate: promo.rate,
-            points: promo.points
+            points: promo.points,
+            rules: parseRules(promo.rules),
+            priority: promo.priority,
+            exclusive: promo.exclusive
         };
 
-        if (isManagerOrHigher) {
+        if (canManage) {
             result.startTime = promo.startTime.toISOString();
             const { type, endTime, ...rest } = result;
             return {
@@ -187,7 +257,8 @@ router.get("/", authenticateJWT, requireRole("regular"), async (req, res) => {
                 type,
                 startTime: result.startTime,
                 endTime,
-                ...rest
+                ...rest,
+                ...formatLimits(promo)
             };
         }
 
@@ -200,9 +271,8 @@ router.get("/", authenticateJWT, requireRole("regular"), async (req, res) => {
     });
 });
 
-router.get("/:promotionId", authenticateJWT, requireRole("regular"), async (req, res) => {
+router.get("/:promotionId", authenticateJWT, requirePermission("promotions.view"), async (req, res) => {
     const { promotionId } = req.params;
-    const currentUserRole = req.auth.role;
 
     const promoId = parseInt(promotionId, 10);
     if (isNaN(promoId)) {
@@ -217,9 +287,9 @@ router.get("/:promotionId", authenticateJWT, requireRole("regular"), async (req,
         return res.status(404).json({ error: "Promotion not found" });
     }
 
-    const isManagerOrHigher = currentUserRole === "manager" || currentUserRole === "superuser";
+    const canManage = can(req, "promotions.manage");
 
-    if (!isManagerOrHigher) {
+    if (!canManage) {
         const now = new Date();
         const isActive = promotion.startTime <= now && promotion.endTime >= now;
         
@@ -236,10 +306,13 @@ router.get("/:promotionId", authenticateJWT, requireRole("regular"), async (req,
         endTime: promotion.endTime.toISOString(),
         minSpending: promotion.minSpending,
         rate: promotion.rate,
-        points: promotion.points
+        points: promotion.points,
+        rules: parseRules(promotion.rules),
+        priority: promotion.priority,
+        exclusive: promotion.exclusive
     };
 
-    if (isManagerOrHigher) {
+    if (canManage) {
         response.startTime = promotion.startTime.toISOString();
         const { type, endTime, ...rest } = response;
         return res.status(200).json({
@@ -249,16 +322,17 @@ router.get("/:promotionId", authenticateJWT, requireRole("regular"), async (req,
             type,
             startTime: response.startTime,
             endTime,
-            ...rest
+            ...rest,
+            ...formatLimits(promotion)
         });
     }
 
     return res.status(200).json(response);
 });
 
-router.patch("/:promotionId", authenticateJWT, requireRole("manager"), async (req, res) => {
+router.patch("/:promotionId", authenticateJWT, requirePermission("promotions.manage"), async (req, res) => {
     const { promotionId } = req.params;
-    const { name, description, type, startTime, endTime, minSpending, rate, points } = req.body;
+    const { name, description, type, startTime, endTime, minSpending, rate, points, rules, priority, exclusive, codeOnly } = req.body;
 
     const promoId = parseInt(promotionId, 10);
     if (isNaN(promoId)) {
@@ -344,11 +418,60 @@ router.patch("/:promotionId", authenticateJWT, requireRole("manager"), async (re
         updateData.points = points;
     }
 
+    // null removes the conditions
+    if (rules !== undefined) {
+        if (rules !== null) {
+            const invalid = ruleError(rules);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+        }
+        updateData.rules = rules !== null ? JSON.stringify(rules) : null;
+    }
+
+    if (priority !== undefined && priority !== null) {
+        if (!Number.isInteger(priority)) {
+            return res.status(400).json({ error: "priority must be an integer" });
+        }
+        updateData.priority = priority;
+    }
+
+    if (exclusive !== undefined && exclusive !== null) {
+        if (typeof exclusive !== 'boolean') {
+            return res.status(400).json({ error: "exclusive must be a boolean" });
+        }
+        updateData.exclusive = exclusive;
+    }
+
+    // whether codes are required can change while the promotion runs, deleting codes never changes it
+    if (codeOnly !== undefined && codeOnly !== null) {
+        if (typeof codeOnly !== 'boolean') {
+            return res.status(400).json({ error: "codeOnly must be a boolean" });
+        }
+        updateData.codeOnly = codeOnly;
+    }
+
+    const finalCodeOnly = 'codeOnly' in updateData ? updateData.codeOnly : promotion.codeOnly;
+    if (finalCodeOnly && (updateData.type || promotion.type) !== "onetime") {
+        return res.status(400).json({ error: "Only one-time promotions can require a promo code" });
+    }
+
+    // limits can be raised or removed while the promotion runs, null removes one
+    for (const field of LIMIT_FIELDS) {
+        if (req.body[field] !== undefined) {
+            const invalid = limitFieldError(field, req.body[field]);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+            updateData[field] = req.body[field];
+        }
+    }
+
     const originalStartTime = promotion.startTime;
     const originalEndTime = promotion.endTime;
 
     if (originalStartTime <= now) {
-        const restrictedFields = ['name', 'description', 'type', 'startTime', 'minSpending', 'rate', 'points'];
+        const restrictedFields = ['name', 'description', 'type', 'startTime', 'minSpending', 'rate', 'points', 'rules', 'priority', 'exclusive'];
         for (const field of restrictedFields) {
             if (field in updateData) {
                 return res.status(400).json({ error: "Cannot update this field after start time" });
@@ -369,6 +492,8 @@ router.patch("/:promotionId", authenticateJWT, requireRole("manager"), async (re
         data: updateData
     });
 
+    res.locals.audit = { before: pickFields(promotion, updateData), after: updateData };
+
     const response = {
         id: promotion.id,
         name: updateData.name || promotion.name,
@@ -381,11 +506,18 @@ router.patch("/:promotionId", authenticateJWT, requireRole("manager"), async (re
     if ('minSpending' in updateData) response.minSpending = updateData.minSpending;
     if ('rate' in updateData) response.rate = updateData.rate;
     if ('points' in updateData) response.points = updateData.points;
+    if ('rules' in updateData) response.rules = parseRules(updateData.rules);
+    if ('priority' in updateData) response.priority = updateData.priority;
+    if ('exclusive' in updateData) response.exclusive = updateData.exclusive;
+    if ('codeOnly' in updateData) response.codeOnly = updateData.codeOnly;
+    for (const field of LIMIT_FIELDS) {
+        if (field in updateData) response[field] = updateData[field];
+    }
 
     return res.status(200).json(response);
 });
 
-router.delete("/:promotionId", authenticateJWT, requireRole("manager"), async (req, res) => {
+router.delete("/:promotionId", authenticateJWT, requirePermission("promotions.manage"), async (req, res) => {
     const { promotionId } = req.params;
 
     const promoId = parseInt(promotionId, 10);
@@ -411,6 +543,126 @@ router.delete("/:promotionId", authenticateJWT, requireRole("manager"), async (r
         where: { id: promoId }
     });
 
+    res.locals.audit = { before: { name: promotion.name, type: promotion.type } };
+
+    return res.status(204).send();
+});
+
+router.post("/:promotionId/codes", authenticateJWT, requirePermission("promotions.manage"), async (req, res) => {
+    const { prefix, count = 1, maxUses = 1 } = req.body;
+
+    const promoId = parseInt(req.params.promotionId, 10);
+    if (isNaN(promoId)) {
+        return res.status(400).json({ error: "Invalid promotion ID" });
+    }
+
+    const invalid = codeRequestError(prefix, count, maxUses);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    const promotion = await prisma.promotion.findUnique({
+        where: { id: promoId }
+    });
+
+    if (!promotion) {
+        return res.status(404).json({ error: "Promotion not found" });
+    }
+
+    // automatic promotions apply without asking, so a code would change nothing
+    if (promotion.type !== "onetime") {
+        return res.status(400).json({ error: "Promo codes can only be added to one-time promotions" });
+    }
+
+    if (promotion.endTime <= new Date()) {
+        return res.status(400).json({ error: "Promotion has ended" });
+    }
+
+    const codes = await generatePromoCodes(promoId, prefix, count, maxUses);
+
+    // once handed out as codes the promotion stays code-only, even if every code is later deleted
+    if (!promotion.codeOnly) {
+        await prisma.promotion.update({
+            where: { id: promoId },
+            data: { codeOnly: true }
+        });
+    }
+
+    res.locals.audit = { after: { prefix: prefix || null, count, maxUses } };
+
+    return res.status(201).json({
+        count: codes.length,
+        results: codes.map(formatPromoCode)
+    });
+});
+
+router.get("/:promotionId/codes", authenticateJWT, requirePermission("promotions.manage"), async (req, res) => {
+    const { used, page = 1, limit = 10 } = req.query;
+
+    const promoId = parseInt(req.params.promotionId, 10);
+    if (isNaN(promoId)) {
+        return res.status(400).json({ error: "Invalid promotion ID" });
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({ error: "Invalid page number" });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1) {
+        return res.status(400).json({ error: "Invalid limit" });
+    }
+
+    const promotion = await prisma.promotion.findUnique({
+        where: { id: promoId }
+    });
+
+    if (!promotion) {
+        return res.status(404).json({ error: "Promotion not found" });
+    }
+
+    const where = { promotionId: promoId };
+
+    if (used !== undefined) {
+        where.uses = used === 'true' ? { gt: 0 } : 0;
+    }
+
+    const [count, codes] = await Promise.all([
+        prisma.promoCode.count({ where }),
+        prisma.promoCode.findMany({
+            where,
+            skip: (pageNum - 1) * limitNum,
+            take: limitNum,
+            orderBy: { id: 'asc' }
+        })
+    ]);
+
+    return res.status(200).json({
+        count,
+        results: codes.map(formatPromoCode)
+    });
+});
+
+router.delete("/:promotionId/codes/:codeId", authenticateJWT, requirePermission("promotions.manage"), async (req, res) => {
+    const promoId = parseInt(req.params.promotionId, 10);
+    const codeId = parseInt(req.params.codeId, 10);
+    if (isNaN(promoId) || isNaN(codeId)) {
+        return res.status(400).json({ error: "Invalid promo code ID" });
+    }
+
+    // purchases that used the code keep their points and lose only the link to it
+    const { count } = await prisma.promoCode.deleteMany({
+        where: { id: codeId, promotionId: promoId }
+    });
+
+    if (count === 0) {
+        return res.status(404).json({ error: "Promo code not found" });
+    }
+
+    res.locals.audit = { targetType: "promocodes", targetId: codeId };
+
     return res.status(204).send();
 });
 
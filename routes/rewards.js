@@ -0,0 +1,318 @@
+'use strict'
+
+// require all dependencies
+const express = require("express");
+const fs = require("fs");
+const path = require("path");
+const prisma = require("../prisma/db");
+const {authenticateJWT, requirePermission, can} = require('../middleware/auth');
+const {rewardUpload} = require('../middleware/upload');
+const {isRewardAvailable} = require("../services/redemptions");
+const {pickFields} = require("../services/audit");
+
+// create router and endpoints
+const router = express.Router();
+
+const formatReward = (reward) => ({
+    id: reward.id,
+    name: reward.name,
+    description: reward.description,
+    pointsCost: reward.pointsCost,
+    stock: reward.stock,
+    imageUrl: reward.imageUrl,
+    startTime: reward.startTime ? reward.startTime.toISOString() : null,
+    endTime: reward.endTime ? reward.endTime.toISOString() : null
+});
+
+router.post("/", authenticateJWT, requirePermission("rewards.manage"), async (req, res) => {
+    const { name, description, pointsCost, stock, startTime, endTime } = req.body;
+
+    if (!name || !description || pointsCost === undefined) {
+        return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    if (typeof name !== 'string') {
+        return res.status(400).json({ error: "Name must be a string" });
+    }
+
+    if (typeof description !== 'string') {
+        return res.status(400).json({ error: "Description must be a string" });
+    }
+
+    if (!Number.isInteger(pointsCost) || pointsCost <= 0) {
+        return res.status(400).json({ error: "pointsCost must be a positive integer" });
+    }
+
+    if (stock !== undefined && stock !== null) {
+        if (!Number.isInteger(stock) || stock < 0) {
+            return res.status(400).json({ error: "stock must be a non-negative integer" });
+        }
+    }
+
+    let start = null;
+    if (startTime !== undefined && startTime !== null) {
+        start = new Date(startTime);
+        if (isNaN(start.getTime())) {
+            return res.status(400).json({ error: "Invalid date format" });
+        }
+    }
+
+    let end = null;
+    if (endTime !== undefined && endTime !== null) {
+        end = new Date(endTime);
+        if (isNaN(end.getTime())) {
+            return res.status(400).json({ error: "Invalid date format" });
+        }
+    }
+
+    if (start && end && end <= start) {
+        return res.status(400).json({ error: "endTime must be after startTime" });
+    }
+
+    const reward = await prisma.reward.create({
+        data: {
+            name,
+            description,
+            pointsCost,
+            stock: stock !== undefined && stock !== null ? stock : null,
+            startTime: start,
+            endTime: end
+        }
+    });
+
+    res.locals.audit = { targetId: reward.id, after: formatReward(reward) };
+
+    return res.status(201).json(formatReward(reward));
+});
+
+router.get("/", authenticateJWT, requirePermission("rewards.view"), async (req, res) => {
+    const { name, available, page = 1, limit = 10 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({ error: "Invalid page number" });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1) {
+        return res.status(400).json({ error: "Invalid limit" });
+    }
+
+    const where = {};
+
+    if (name) {
+        where.name = { contains: name };
+    }
+
+    const canManage = can(req, "rewards.manage");
+
+    let rewards = await prisma.reward.findMany({
+        where,
+        orderBy: { id: 'asc' }
+    });
+
+    const now = new Date();
+    if (!canManage || available !== undefined) {
+        const wantAvailable = !canManage || available === 'true';
+        rewards = rewards.filter(reward => isRewardAvailable(reward, now) === wantAvailable);
+    }
+
+    const count = rewards.length;
+    const results = rewards
+        .slice((pageNum - 1) * limitNum, pageNum * limitNum)
+        .map(formatReward);
+
+    return res.status(200).json({
+        count,
+        results
+    });
+});
+
+router.get("/:rewardId", authenticateJWT, requirePermission("rewards.view"), async (req, res) => {
+    const { rewardId } = req.params;
+
+    const rwdId = parseInt(rewardId, 10);
+    if (isNaN(rwdId)) {
+        return res.status(400).json({ error: "Invalid reward ID" });
+    }
+
+    const reward = await prisma.reward.findUnique({
+        where: { id: rwdId }
+    });
+
+    if (!reward) {
+        return res.status(404).json({ error: "Reward not found" });
+    }
+
+    const canManage = can(req, "rewards.manage");
+
+    if (!canManage && !isRewardAvailable(reward)) {
+        return res.status(404).json({ error: "Reward not found" });
+    }
+
+    return res.status(200).json(formatReward(reward));
+});
+
+router.patch("/:rewardId", authenticateJWT, requirePermission("rewards.manage"), async (req, res) => {
+    const { rewardId } = req.params;
+    const { name, description, pointsCost, stock, startTime, endTime } = req.body;
+
+    const rwdId = parseInt(rewardId, 10);
+    if (isNaN(rwdId)) {
+        return res.status(400).json({ error: "Invalid reward ID" });
+    }
+
+    const reward = await prisma.reward.findUnique({
+        where: { id: rwdId }
+    });
+
+    if (!reward) {
+        return res.status(404).json({ error: "Reward not found" });
+    }
+
+    const updateData = {};
+
+    if (name !== undefined && name !== null) {
+        if (typeof name !== 'string') {
+            return res.status(400).json({ error: "Name must be a string" });
+        }
+        updateData.name = name;
+    }
+
+    if (description !== undefined && description !== null) {
+        if (typeof description !== 'string') {
+            return res.status(400).json({ error: "Description must be a string" });
+        }
+        updateData.description = description;
+    }
+
+    if (pointsCost !== undefined && pointsCost !== null) {
+        if (!Number.isInteger(pointsCost) || pointsCost <= 0) {
+            return res.status(400).json({ error: "pointsCost must be a positive integer" });
+        }
+        updateData.pointsCost = pointsCost;
+    }
+
+    if (stock !== undefined && stock !== null) {
+        if (!Number.isInteger(stock) || stock < 0) {
+            return res.status(400).json({ error: "stock must be a non-negative integer" });
+        }
+        updateData.stock = stock;
+    }
+
+    if (startTime !== undefined && startTime !== null) {
+        const start = new Date(startTime);
+        if (isNaN(start.getTime())) {
+            return res.status(400).json({ error: "Invalid date format" });
+        }
+        updateData.startTime = start;
+    }
+
+    if (endTime !== undefined && endTime !== null) {
+        const end = new Date(endTime);
+        if (isNaN(end.getTime())) {
+            return res.status(400).json({ error: "Invalid date format" });
+        }
+        updateData.endTime = end;
+    }
+
+    const finalStartTime = updateData.startTime || reward.startTime;
+    const finalEndTime = updateData.endTime || reward.endTime;
+
+    if (finalStartTime && finalEndTime && finalEndTime <= finalStartTime) {
+        return res.status(400).json({ error: "endTime must be after startTime" });
+    }
+
+    if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ error: "No fields to update" });
+    }
+
+    const updated = await prisma.reward.update({
+        where: { id: rwdId },
+        data: updateData
+    });
+
+    res.locals.audit = { before: pickFields(reward, updateData), after: updateData };
+
+    return res.status(200).json(formatReward(updated));
+});
+
+// look the reward up before its image is written, so nothing lands on disk for an invalid or missing reward
+const loadReward = async (req, res, next) => {
+    const { rewardId } = req.params;
+
+    if (!/^\d+$/.test(rewardId)) {
+        return res.status(400).json({ error: "Invalid reward ID" });
+    }
+
+    const reward = await prisma.reward.findUnique({
+        where: { id: parseInt(rewardId, 10) }
+    });
+
+    if (!reward) {
+        return res.status(404).json({ error: "Reward not found" });
+    }
+
+    req.reward = reward;
+    next();
+};
+
+router.put("/:rewardId/image", authenticateJWT, requirePermission("rewards.manage"), loadReward, rewardUpload.single('image'), async (req, res) => {
+    const reward = req.reward;
+
+    if (!req.file) {
+        return res.status(400).json({ error: "image is required" });
+    }
+
+    if (reward.imageUrl) {
+        fs.unlink(path.join('.', reward.imageUrl), () => {});
+    }
+
+    const updated = await prisma.reward.update({
+        where: { id: reward.id },
+        data: { imageUrl: `/uploads/rewards/${req.file.filename}` }
+    });
+
+    res.locals.audit = { before: { imageUrl: reward.imageUrl }, after: { imageUrl: updated.imageUrl } };
+
+    return res.status(200).json(formatReward(updated));
+});
+
+router.delete("/:rewardId", authenticateJWT, requirePermission("rewards.manage"), async (req, res) => {
+    const { rewardId } = req.params;
+
+    const rwdId = parseInt(rewardId, 10);
+    if (isNaN(rwdId)) {
+        return res.status(400).json({ error: "Invalid reward ID" });
+    }
+
+    const reward = await prisma.reward.findUnique({
+        where: { id: rwdId },
+        include: {
+            _count: { select: { transactions: true } }
+        }
+    });
+
+    if (!reward) {
+        return res.status(404).json({ error: "Reward not found" });
+    }
+
+    if (reward._count.transactions > 0) {
+        return res.status(400).json({ error: "Cannot delete reward that has been redeemed" });
+    }
+
+    await prisma.reward.delete({
+        where: { id: rwdId }
+    });
+
+    res.locals.audit = { before: formatReward(reward) };
+
+    if (reward.imageUrl) {
+        fs.unlink(path.join('.', reward.imageUrl), () => {});
+    }
+
+    return res.status(204).send();
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,81 @@
+'use strict'
+
+// require all dependencies
+const express = require("express");
+const {authenticateJWT, requirePermission} = require('../middleware/auth');
+const {ROLES, PERMISSIONS, listRolePermissions, validatePermissions, setRolePermissions} = require("../services/permissions");
+
+// create router and endpoints
+const router = express.Router();
+
+router.get("/", authenticateJWT, requirePermission("roles.manage"), async (req, res) => {
+    const roles = await listRolePermissions();
+    return res.status(200).json(roles);
+});
+
+router.get("/permissions", authenticateJWT, requirePermission("roles.manage"), async (req, res) => {
+    const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+    return res.status(200).json(permissions);
+});
+
+router.get("/:role", authenticateJWT, requirePermission("roles.manage"), async (req, res) => {
+    const { role } = req.params;
+
+    if (!ROLES.includes(role)) {
+        return res.status(404).json({ error: "Role not found" });
+    }
+
+    const roles = await listRolePermissions();
+    return res.status(200).json(roles.find(entry => entry.role === role));
+});
+
+router.put("/:role", authenticateJWT, requirePermission("roles.manage"), async (req, res) => {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!ROLES.includes(role)) {
+        return res.status(404).json({ error: "Role not found" });
+    }
+
+    if (permissions === undefined) {
+        return res.status(400).json({ error: "permissions is required" });
+    }
+
+    const error = validatePermissions(permissions);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    // superusers must keep the ability to undo their own changes
+    if (role === "superuser" && !permissions.includes("roles.manage")) {
+        return res.status(400).json({ error: "The superuser role must keep roles.manage" });
+    }
+
+    const before = (await listRolePermissions()).find(entry => entry.role === role);
+    await setRolePermissions(role, permissions, req.auth.id);
+
+    res.locals.audit = { before: { permissions: before.permissions }, after: { permissions } };
+
+    const roles = await listRolePermissions();
+    return res.status(200).json(roles.find(entry => entry.role === role));
+});
+
+// restore a role's default permissions
+router.delete("/:role", authenticateJWT, requirePermission("roles.manage"), async (req, res) => {
+    const { role } = req.params;
+
+    if (!ROLES.includes(role)) {
+        return res.status(404).json({ error: "Role not found" });
+    }
+
+    const before = (await listRolePermissions()).find(entry => entry.role === role);
+    await setRolePermissions(role, null, req.auth.id);
+
+    const roles = await listRolePermissions();
+    const after = roles.find(entry => entry.role === role);
+    res.locals.audit = { before: { permissions: before.permissions }, after: { permissions: after.permissions } };
+
+    return res.status(200).json(after);
+});
+
+module.exports = router;
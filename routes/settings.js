@@ -0,0 +1,105 @@
+'use strict'
+
+// require all dependencies
+const express = require("express");
+const prisma = require("../prisma/db");
+const {authenticateJWT, requirePermission} = require('../middleware/auth');
+const {SETTINGS, isSetting, validateSetting, getSetting, listSettings, setSetting} = require("../services/settings");
+
+// create router and endpoints
+const router = express.Router();
+
+router.get("/", authenticateJWT, requirePermission("settings.manage"), async (req, res) => {
+    const settings = await listSettings();
+    return res.status(200).json(settings);
+});
+
+router.get("/:key", authenticateJWT, requirePermission("settings.manage"), async (req, res) => {
+    const { key } = req.params;
+
+    if (!isSetting(key)) {
+        return res.status(404).json({ error: "Setting not found" });
+    }
+
+    const settings = await listSettings();
+    return res.status(200).json(settings.find(setting => setting.key === key));
+});
+
+router.patch("/:key", authenticateJWT, requirePermission("settings.manage"), async (req, res) => {
+    const { key } = req.params;
+    const { value } = req.body;
+
+    if (!isSetting(key)) {
+        return res.status(404).json({ error: "Setting not found" });
+    }
+
+    if (value === undefined) {
+        return res.status(400).json({ error: "value is required" });
+    }
+
+    const error = validateSetting(key, value);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const previous = await getSetting(key);
+    const row = await setSetting(key, value, req.auth.id);
+
+    res.locals.audit = { before: { value: previous }, after: { value } };
+
+    return res.status(200).json({
+        key,
+        value,
+        default: SETTINGS[key].default,
+        description: SETTINGS[key].description,
+        updatedAt: row.updatedAt.toISOString()
+    });
+});
+
+router.get("/:key/history", authenticateJWT, requirePermission("settings.manage"), async (req, res) => {
+    const { key } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    if (!isSetting(key)) {
+        return res.status(404).json({ error: "Setting not found" });
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({ error: "Invalid page number" });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1) {
+        return res.status(400).json({ error: "Invalid limit" });
+    }
+
+    const where = { key };
+
+    const [count, changes] = await Promise.all([
+        prisma.settingChange.count({ where }),
+        prisma.settingChange.findMany({
+            where,
+            skip: (pageNum - 1) * limitNum,
+            take: limitNum,
+            include: {
+                changedBy: { select: { utorid: true } }
+            },
+            orderBy: { id: 'desc' }
+        })
+    ]);
+
+    const results = changes.map(change => ({
+        id: change.id,
+        key: change.key,
+        oldValue: change.oldValue !== null ? JSON.parse(change.oldValue) : null,
+        newValue: JSON.parse(change.newValue),
+        changedBy: change.changedBy.utorid,
+        changedAt: change.changedAt.toISOString()
+    }));
+
+    return res.status(200).json({ count, results });
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+'use strict'
+
+// require all dependencies
+const express = require("express");
+const prisma = require("../prisma/db");
+const {authenticateJWT, requirePermission} = require('../middleware/auth');
+const {pickFields} = require("../services/audit");
+const {formatTier, listTiers, recalculateAllTiers} = require("../services/tiers");
+
+// create router and endpoints
+const router = express.Router();
+
+// thresholds or multipliers moved, so users may belong to another tier now
+const recalculateInBackground = () => {
+    recalculateAllTiers().catch(err => console.error(`tier recalculation failed: ${err.message}`));
+};
+
+// why a tier field cannot be stored, null when it can
+const tierFieldError = (name, threshold, multiplier) => {
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+        return "name must be a non-empty string";
+    }
+
+    if (threshold !== undefined && (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0)) {
+        return "threshold must be a non-negative number";
+    }
+
+    if (multiplier !== undefined && (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier <= 0)) {
+        return "multiplier must be a positive number";
+    }
+
+    return null;
+};
+
+router.post("/", authenticateJWT, requirePermission("tiers.manage"), async (req, res) => {
+    const { name, threshold, multiplier } = req.body;
+
+    if (name === undefined || threshold === undefined || multiplier === undefined) {
+        return res.status(400).json({ error: "name, threshold, and multiplier are required" });
+    }
+
+    const invalid = tierFieldError(name, threshold, multiplier);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    const existing = await prisma.tier.findUnique({
+        where: { name: name.trim() }
+    });
+
+    if (existing) {
+        return res.status(409).json({ error: "A tier with this name already exists" });
+    }
+
+    const tier = await prisma.tier.create({
+        data: { name: name.trim(), threshold, multiplier }
+    });
+
+    res.locals.audit = { targetId: tier.id, after: { name: tier.name, threshold, multiplier } };
+
+    recalculateInBackground();
+
+    return res.status(201).json(formatTier(tier));
+});
+
+router.get("/", authenticateJWT, requirePermission("tiers.view"), async (req, res) => {
+    const tiers = await listTiers();
+
+    return res.status(200).json({
+        count: tiers.length,
+        results: tiers.map(formatTier)
+    });
+});
+
+router.get("/:tierId", authenticateJWT, requirePermission("tiers.view"), async (req, res) => {
+    const tierId = parseInt(req.params.tierId, 10);
+    if (isNaN(tierId)) {
+        return res.status(400).json({ error: "Invalid tier ID" });
+    }
+
+    const tier = await prisma.tier.findUnique({
+        where: { id: tierId },
+        include: { _count: { select: { users: true } } }
+    });
+
+    if (!tier) {
+        return res.status(404).json({ error: "Tier not found" });
+    }
+
+    return res.status(200).json({
+        ...formatTier(tier),
+        members: tier._count.users
+    });
+});
+
+router.patch("/:tierId", authenticateJWT, requirePermission("tiers.manage"), async (req, res) => {
+    const { name, threshold, multiplier } = req.body;
+
+    const tierId = parseInt(req.params.tierId, 10);
+    if (isNaN(tierId)) {
+        return res.status(400).json({ error: "Invalid tier ID" });
+    }
+
+    const tier = await prisma.tier.findUnique({
+        where: { id: tierId }
+    });
+
+    if (!tier) {
+        return res.status(404).json({ error: "Tier not found" });
+    }
+
+    const invalid = tierFieldError(name, threshold, multiplier);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    const data = {};
+
+    if (name !== undefined) {
+        const duplicate = await prisma.tier.findFirst({
+            where: { name: name.trim(), NOT: { id: tierId } }
+        });
+
+        if (duplicate) {
+            return res.status(409).json({ error: "A tier with this name already exists" });
+        }
+        data.name = name.trim();
+    }
+
+    if (threshold !== undefined) {
+        data.threshold = threshold;
+    }
+
+    if (multiplier !== undefined) {
+        data.multiplier = multiplier;
+    }
+
+    if (Object.keys(data).length === 0) {
+        return res.status(400).json({ error: "No fields to update" });
+    }
+
+    const updated = await prisma.tier.update({
+        where: { id: tierId },
+        data
+    });
+
+    res.locals.audit = { before: pickFields(tier, data), after: data };
+
+    if (data.threshold !== undefined) {
+        recalculateInBackground();
+    }
+
+    return res.status(200).json(formatTier(updated));
+});
+
+router.delete("/:tierId", authenticateJWT, requirePermission("tiers.manage"), async (req, res) => {
+    const tierId = parseInt(req.params.tierId, 10);
+    if (isNaN(tierId)) {
+        return res.status(400).json({ error: "Invalid tier ID" });
+    }
+
+    const tier = await prisma.tier.findUnique({
+        where: { id: tierId }
+    });
+
+    if (!tier) {
+        return res.status(404).json({ error: "Tier not found" });
+    }
+
+    // members drop to no tier until the recalculation places them in the next one down
+    await prisma.tier.delete({
+        where: { id: tierId }
+    });
+
+    res.locals.audit = { before: { name: tier.name, threshold: tier.threshold, multiplier: tier.multiplier } };
+
+    recalculateInBackground();
+
+    return res.status(204).send();
+});
+
+module.exports = router;
@@ -3,12 +3,157 @@
 // require all dependencies
 const express = require("express");
 const prisma = require("../prisma/db");
-const {authenticateJWT, requireRole} = require('../middleware/auth');
+const {authenticateJWT, requirePermission, can, hasScope} = require('../middleware/auth');
+const idempotent = require('../middleware/idempotency');
+const {LedgerError, withLedger, applyBalance, settleHold, postTransaction} = require("../services/ledger");
+const {redemptionStatus, consumeRewardStock} = require("../services/redemptions");
+const {basePoints, purchasePoints, evaluatePurchase} = require("../services/earning");
+const {consumePromotions, releasePromotionUsage} = require("../services/promotionLimits");
+const {resolvePromoCode, consumePromoCode} = require("../services/promoCodes");
+const {getSetting} = require("../services/settings");
+const {recalculateTier} = require("../services/tiers");
+const {exportFormatError, streamExport} = require("../services/export");
 
 // create router and endpoints
 const router = express.Router();
 
-router.post("/", authenticateJWT, async (req, res) => {
+// respond to a promo code that cannot be used, see resolvePromoCode
+const rejectPromoCode = (res, lookup) => {
+    if (lookup.lockedUntil) {
+        res.set("Retry-After", String(Math.ceil((lookup.lockedUntil - Date.now()) / 1000)));
+        return res.status(429).json({ error: lookup.error, lockedUntil: lookup.lockedUntil.toISOString() });
+    }
+    return res.status(lookup.status).json({ error: lookup.error });
+};
+
+// query filters shared by the transaction list and export, error is set when a filter is invalid
+const buildTransactionFilter = async (query) => {
+    const { name, createdBy, suspicious, promotionId, type, relatedId, amount, operator } = query;
+
+    const where = {};
+
+    if (name) {
+        const users = await prisma.user.findMany({
+            where: {
+                OR: [
+                    { utorid: { contains: name } },
+                    { name: { contains: name } }
+                ]
+            },
+            select: { id: true }
+        });
+        where.ownerUserId = { in: users.map(u => u.id) };
+    }
+
+    if (createdBy) {
+        const creator = await prisma.user.findFirst({
+            where: {
+                OR: [
+                    { utorid: { contains: createdBy } },
+                    { name: { contains: createdBy } }
+                ]
+            }
+        });
+        if (creator) {
+            where.creatorUserId = creator.id;
+        }
+    }
+
+    if (suspicious !== undefined) {
+        where.suspicious = suspicious === 'true';
+    }
+
+    if (promotionId) {
+        const promoId = parseInt(promotionId, 10);
+        if (!isNaN(promoId)) {
+            where.promotions = {
+                some: { id: promoId }
+            };
+        }
+    }
+
+    if (type) {
+        where.type = type;
+    }
+
+    if (relatedId) {
+        const relId = parseInt(relatedId, 10);
+        if (!isNaN(relId)) {
+            if (!type) {
+                return { error: "type is required when using relatedId" };
+            }
+            if (type === "adjustment" || type === "event") {
+                where.relatedTransactionId = relId;
+            } else if (type === "transfer") {
+                where.relatedUserId = relId;
+            } else if (type === "redemption") {
+                where.processorUserId = relId;
+            }
+        }
+    }
+
+    if (amount !== undefined) {
+        if (!operator) {
+            return { error: "operator is required when using amount" };
+        }
+        const amountNum = parseFloat(amount);
+        if (isNaN(amountNum)) {
+            return { error: "Invalid amount" };
+        }
+        if (operator === "gte") {
+            where.amount = { gte: amountNum };
+        } else if (operator === "lte") {
+            where.amount = { lte: amountNum };
+        } else {
+            return { error: "Invalid operator" };
+        }
+    }
+
+    return { where };
+};
+
+const transactionListInclude = {
+    ownerUser: { select: { utorid: true } },
+    creatorUser: { select: { utorid: true } },
+    promotions: { select: { id: true } },
+    apiKey: { select: { terminal: true, store: true } }
+};
+
+// a transaction as shown in the list, the fields depend on its type
+const formatTransaction = (t) => {
+    const result = {
+        id: t.id,
+        utorid: t.ownerUser.utorid,
+        amount: t.amount,
+        type: t.type,
+        promotionIds: t.promotions.map(p => p.id),
+        suspicious: t.suspicious,
+        remark: t.remark,
+        createdBy: t.creatorUser.utorid,
+        terminal: t.apiKey ? t.apiKey.terminal : null,
+        store: t.apiKey ? t.apiKey.store : null
+    };
+
+    if (t.type === "purchase") {
+        result.spent = t.spent;
+        result.refunded = t.refunded || 0;
+    } else if (t.type === "redemption") {
+        result.relatedId = t.processorUserId;
+        result.redeemed = t.redeemed;
+        result.rewardId = t.rewardId;
+        result.status = redemptionStatus(t);
+    } else if (t.type === "adjustment") {
+        result.relatedId = t.relatedTransactionId;
+    } else if (t.type === "transfer") {
+        result.relatedId = t.relatedUserId;
+    } else if (t.type === "event") {
+        result.relatedId = t.eventId;
+    }
+
+    return result;
+};
+
+router.post("/", authenticateJWT, idempotent, async (req, res) => {
     const { 
         utorid, 
         type, 
@@ -16,6 +161,7 @@ router.post("/", authenticateJWT, async (req, res) => {
         amount, 
         relatedId, 
         promotionIds, 
+        promoCode,
         remark = "" 
     } = req.body;
     
@@ -25,10 +171,8 @@ router.post("/", authenticateJWT, async (req, res) => {
         return res.status(400).json({ error: "utorid and type are required" });
     }
 
-    const userRole = req.auth.role;
-
     if (type === "purchase") {
-        if (!['cashier', 'manager', 'superuser'].includes(userRole)) {
+        if (!can(req, "transactions.purchase") || !hasScope(req, "purchase:create")) {
             return res.status(403).json({ error: "Forbidden" });
         }
 
@@ -44,7 +188,7 @@ router.post("/", authenticateJWT, async (req, res) => {
             where: { utorid: utorid }
         });
 
-        if (!user) {
+        if (!user || user.deletedAt) {
             return res.status(404).json({ error: "User not found" });
         }
 
@@ -52,100 +196,61 @@ router.post("/", authenticateJWT, async (req, res) => {
             where: { id: req.auth.id }
         });
 
-        let earnedPoints = Math.round(spent / 0.25);
-        
-        const now = new Date();
-        const automaticPromotions = await prisma.promotion.findMany({
-            where: {
-                type: "automatic",
-                startTime: { lte: now },
-                endTime: { gte: now },
-                OR: [
-                    { minSpending: null },
-                    { minSpending: { lte: spent } }
-                ]
-            }
-        });
-
-        const appliedPromotionIds = [];
-        for (const promo of automaticPromotions) {
-            appliedPromotionIds.push(promo.id);
-            if (promo.rate) {
-                earnedPoints += Math.round(spent / promo.rate);
-            }
-            if (promo.points) {
-                earnedPoints += promo.points;
+        let code = null;
+        if (promoCode !== undefined && promoCode !== null) {
+            const lookup = await resolvePromoCode(promoCode, req.ip, user.utorid);
+            if (lookup.error) {
+                return rejectPromoCode(res, lookup);
             }
+            code = lookup.promoCode;
         }
 
-        if (safePromotionIds.length > 0) {
-            for (const promoId of safePromotionIds) {
-                const promotion = await prisma.promotion.findUnique({
-                    where: { id: promoId },
-                    include: {
-                        usedBy: {
-                            where: { id: user.id }
-                        }
-                    }
-                });
-
-                if (!promotion) {
-                    return res.status(400).json({ error: `Promotion ${promoId} not found` });
-                }
-
-                if (promotion.type !== "onetime") {
-                    return res.status(400).json({ error: `Promotion ${promoId} is not a one-time promotion` });
-                }
+        const quote = await evaluatePurchase({ user, spent, promotionIds: safePromotionIds, promoCode: code });
 
-                if (promotion.startTime > now || promotion.endTime < now) {
-                    return res.status(400).json({ error: `Promotion ${promoId} is not active` });
-                }
-
-                if (promotion.usedBy.length > 0) {
-                    return res.status(400).json({ error: `Promotion ${promoId} has already been used` });
-                }
-
-                if (promotion.minSpending && spent < promotion.minSpending) {
-                    return res.status(400).json({ error: `Minimum spending not met for promotion ${promoId}` });
-                }
-
-                appliedPromotionIds.push(promoId);
-
-                if (promotion.rate) {
-                    earnedPoints += Math.round(spent / promotion.rate);
-                }
-                if (promotion.points) {
-                    earnedPoints += promotion.points;
-                }
-            }
+        if (quote.errors.length > 0) {
+            return res.status(400).json({ error: quote.errors[0].error });
         }
 
+        const earnedPoints = quote.earned;
+        const appliedPromotionIds = quote.applied.map(entry => entry.promotion.id);
+        // requested one-time promotions that lost out to the stacking rules stay available
+        const usedPromotionIds = quote.applied
+            .filter(entry => entry.promotion.type === "onetime")
+            .map(entry => entry.promotion.id);
+        // a code whose promotion lost out to the stacking rules is not used up
+        const codeApplied = code !== null && appliedPromotionIds.includes(code.promotionId);
+
         const isSuspicious = cashier.suspicious === true;
 
-        const transaction = await prisma.transaction.create({
-            data: {
+        const transaction = await withLedger(async (tx) => {
+            const created = await postTransaction(tx, {
                 type: "purchase",
                 amount: earnedPoints,
                 spent: spent,
+                earningRate: quote.rate,
+                multiplier: quote.multiplier,
+                bonus: quote.earned - quote.base,
                 remark: remark,
                 suspicious: isSuspicious,
                 ownerUserId: user.id,
                 creatorUserId: req.auth.id,
+                apiKeyId: req.auth.apiKeyId,
+                promoCodeId: codeApplied ? code.id : null,
                 promotions: {
                     connect: appliedPromotionIds.map(id => ({ id }))
                 }
-            }
-        });
+            }, isSuspicious ? 0 : earnedPoints);
 
-        if (!isSuspicious) {
-            await prisma.user.update({
-                where: { id: user.id },
-                data: { points: { increment: earnedPoints } }
-            });
+            // the bonus is reserved against the promotions' budgets even while the purchase is under review
+            await consumePromotions(tx, user.id, quote.applied);
 
-            if (safePromotionIds.length > 0) {
-                for (const promoId of safePromotionIds) {
-                    await prisma.promotion.update({
+            if (codeApplied) {
+                await consumePromoCode(tx, code);
+            }
+
+            if (!isSuspicious) {
+                for (const promoId of usedPromotionIds) {
+                    await tx.promotion.update({
                         where: { id: promoId },
                         data: {
                             usedBy: {
@@ -155,7 +260,14 @@ router.post("/", authenticateJWT, async (req, res) => {
                     });
                 }
             }
-        }
+
+            return created;
+        });
+
+        // the purchase is already recorded, a failed recalculation is caught up by the nightly job
+        await recalculateTier(user.id).catch(err => console.error(`tier recalculation failed: ${err.message}`));
+
+        res.locals.audit = { targetId: transaction.id, after: { type: "purchase", utorid: user.utorid, spent, amount: transaction.amount } };
 
         return res.status(201).json({
             id: transaction.id,
@@ -166,12 +278,14 @@ router.post("/", authenticateJWT, async (req, res) => {
             suspicious: isSuspicious,
             remark: transaction.remark,
             promotionIds: appliedPromotionIds,
+            promoCode: codeApplied ? code.code : null,
+            skipped: quote.skipped,
             createdBy: cashier.utorid
         });
     } 
 
     else if (type === "adjustment") {
-        if (!['manager', 'superuser'].includes(userRole)) {
+        if (!can(req, "transactions.adjust") || !hasScope(req, "adjustment:create")) {
             return res.status(403).json({ error: "Forbidden" });
         }
 
@@ -203,30 +317,26 @@ router.post("/", authenticateJWT, async (req, res) => {
             return res.status(404).json({ error: "Related transaction not found" });
         }
 
-        const transaction = await prisma.transaction.create({
-            data: {
-                type: "adjustment",
-                amount: amount,
-                remark: remark,
-                suspicious: false,
-                ownerUserId: user.id,
-                creatorUserId: req.auth.id,
-                relatedTransactionId: relatedId,
-                promotions: {
-                    connect: safePromotionIds.map(id => ({ id }))
-                }
+        const transaction = await withLedger((tx) => postTransaction(tx, {
+            type: "adjustment",
+            amount: amount,
+            remark: remark,
+            suspicious: false,
+            ownerUserId: user.id,
+            creatorUserId: req.auth.id,
+            apiKeyId: req.auth.apiKeyId,
+            relatedTransactionId: relatedId,
+            promotions: {
+                connect: safePromotionIds.map(id => ({ id }))
             }
-        });
-
-        await prisma.user.update({
-            where: { id: user.id },
-            data: { points: { increment: amount } }
-        });
+        }));
 
         const manager = await prisma.user.findUnique({
             where: { id: req.auth.id }
         });
 
+        res.locals.audit = { targetId: transaction.id, after: { type: "adjustment", utorid: user.utorid, amount, relatedId } };
+
         return res.status(201).json({
             id: transaction.id,
             utorid: user.utorid,
@@ -244,97 +354,79 @@ router.post("/", authenticateJWT, async (req, res) => {
     }
 });
 
-router.get("/", authenticateJWT, requireRole("manager"), async (req, res) => {
-    const { name, createdBy, suspicious, promotionId, type, relatedId, amount, operator, page = 1, limit = 10 } = req.query;
+router.post("/quote", authenticateJWT, requirePermission("transactions.purchase", "purchase:create"), async (req, res) => {
+    const { utorid, spent, promotionIds, promoCode } = req.body;
 
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
-
-    if (isNaN(pageNum) || pageNum < 1) {
-        return res.status(400).json({ error: "Invalid page number" });
+    if (!utorid) {
+        return res.status(400).json({ error: "utorid is required" });
     }
 
-    if (isNaN(limitNum) || limitNum < 1) {
-        return res.status(400).json({ error: "Invalid limit" });
+    if (spent === undefined || spent === null) {
+        return res.status(400).json({ error: "spent is required" });
     }
 
-    const where = {};
-
-    if (name) {
-        const users = await prisma.user.findMany({
-            where: {
-                OR: [
-                    { utorid: { contains: name } },
-                    { name: { contains: name } }
-                ]
-            },
-            select: { id: true }
-        });
-        where.ownerUserId = { in: users.map(u => u.id) };
+    if (typeof spent !== 'number' || spent <= 0) {
+        return res.status(400).json({ error: "spent must be a positive number" });
     }
 
-    if (createdBy) {
-        const creator = await prisma.user.findFirst({
-            where: {
-                OR: [
-                    { utorid: { contains: createdBy } },
-                    { name: { contains: createdBy } }
-                ]
-            }
-        });
-        if (creator) {
-            where.creatorUserId = creator.id;
-        }
+    if (promotionIds !== undefined && promotionIds !== null && !Array.isArray(promotionIds)) {
+        return res.status(400).json({ error: "promotionIds must be an array" });
     }
 
-    if (suspicious !== undefined) {
-        where.suspicious = suspicious === 'true';
+    const user = await prisma.user.findUnique({
+        where: { utorid: utorid }
+    });
+
+    if (!user || user.deletedAt) {
+        return res.status(404).json({ error: "User not found" });
     }
 
-    if (promotionId) {
-        const promoId = parseInt(promotionId, 10);
-        if (!isNaN(promoId)) {
-            where.promotions = {
-                some: { id: promoId }
-            };
+    let code = null;
+    if (promoCode !== undefined && promoCode !== null) {
+        const lookup = await resolvePromoCode(promoCode, req.ip, user.utorid);
+        if (lookup.error) {
+            return rejectPromoCode(res, lookup);
         }
+        code = lookup.promoCode;
     }
 
-    if (type) {
-        where.type = type;
+    const quote = await evaluatePurchase({ user, spent, promotionIds: promotionIds || [], promoCode: code });
+
+    return res.status(200).json({
+        utorid: user.utorid,
+        spent: spent,
+        tier: quote.tier ? quote.tier.name : null,
+        multiplier: quote.multiplier,
+        base: quote.base,
+        promotions: quote.applied.map(entry => ({
+            id: entry.promotion.id,
+            name: entry.promotion.name,
+            type: entry.promotion.type === "onetime" ? "one-time" : entry.promotion.type,
+            bonus: entry.bonus
+        })),
+        skipped: quote.skipped,
+        errors: quote.errors,
+        earned: quote.earned
+    });
+});
+
+router.get("/", authenticateJWT, requirePermission("transactions.view"), async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({ error: "Invalid page number" });
     }
 
-    if (relatedId) {
-        const relId = parseInt(relatedId, 10);
-        if (!isNaN(relId)) {
-            if (!type) {
-                return res.status(400).json({ error: "type is required when using relatedId" });
-            }
-            if (type === "adjustment" || type === "event") {
-                where.relatedTransactionId = relId;
-            } else if (type === "transfer") {
-                where.relatedUserId = relId;
-            } else if (type === "redemption") {
-                where.processorUserId = relId;
-            }
-        }
+    if (isNaN(limitNum) || limitNum < 1) {
+        return res.status(400).json({ error: "Invalid limit" });
     }
 
-    if (amount !== undefined) {
-        if (!operator) {
-            return res.status(400).json({ error: "operator is required when using amount" });
-        }
-        const amountNum = parseFloat(amount);
-        if (isNaN(amountNum)) {
-            return res.status(400).json({ error: "Invalid amount" });
-        }
-        if (operator === "gte") {
-            where.amount = { gte: amountNum };
-        } else if (operator === "lte") {
-            where.amount = { lte: amountNum };
-        } else {
-            return res.status(400).json({ error: "Invalid operator" });
-        }
+    const { where, error } = await buildTransactionFilter(req.query);
+    if (error) {
+        return res.status(400).json({ error });
     }
 
     const [count, transactions] = await Promise.all([
@@ -343,47 +435,97 @@ router.get("/", authenticateJWT, requireRole("manager"), async (req, res) => {
             where,
             skip: (pageNum - 1) * limitNum,
             take: limitNum,
-            include: {
-                ownerUser: { select: { utorid: true } },
-                creatorUser: { select: { utorid: true } },
-                promotions: { select: { id: true } }
-            },
+            include: transactionListInclude,
             orderBy: { id: 'asc' }
         })
     ]);
 
-    const results = transactions.map(t => {
-        const result = {
-            id: t.id,
-            utorid: t.ownerUser.utorid,
-            amount: t.amount,
-            type: t.type,
-            promotionIds: t.promotions.map(p => p.id),
-            suspicious: t.suspicious,
-            remark: t.remark,
-            createdBy: t.creatorUser.utorid
-        };
-
-        if (t.type === "purchase") {
-            result.spent = t.spent;
-        } else if (t.type === "redemption") {
-            result.relatedId = t.processorUserId;
-            result.redeemed = t.redeemed;
-        } else if (t.type === "adjustment") {
-            result.relatedId = t.relatedTransactionId;
-        } else if (t.type === "transfer") {
-            result.relatedId = t.relatedUserId;
-        } else if (t.type === "event") {
-            result.relatedId = t.eventId;
-        }
-
-        return result;
-    });
+    const results = transactions.map(formatTransaction);
 
     return res.status(200).json({ count, results });
 });
 
-router.get("/:transactionId", authenticateJWT, requireRole("manager"), async (req, res) => {
+// the whole filtered list as CSV or NDJSON, streamed in batches
+router.get("/export", authenticateJWT, requirePermission("transactions.view"), async (req, res) => {
+    const { format = "csv" } = req.query;
+
+    const formatError = exportFormatError(format);
+    if (formatError) {
+        return res.status(400).json({ error: formatError });
+    }
+
+    const { where, error } = await buildTransactionFilter(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    await streamExport(res, {
+        format,
+        filename: "transactions",
+        columns: ["id", "createdAt", "utorid", "type", "amount", "spent", "refunded", "redeemed", "rewardId", "status", "relatedId",
+            "promotionIds", "suspicious", "remark", "createdBy", "terminal", "store"],
+        fetchBatch: (page) => prisma.transaction.findMany({ where, include: transactionListInclude, ...page }),
+        toRecord: (t) => ({ ...formatTransaction(t), createdAt: t.createdAt.toISOString() })
+    });
+});
+
+// totals of points removed by the expiry policy, optionally limited to a date range
+router.get("/expired", authenticateJWT, requirePermission("transactions.view"), async (req, res) => {
+    const { from, to } = req.query;
+
+    const where = { type: "expiry" };
+
+    if (from || to) {
+        where.createdAt = {};
+
+        if (from) {
+            const start = new Date(from);
+            if (isNaN(start.getTime())) {
+                return res.status(400).json({ error: "Invalid date format" });
+            }
+            where.createdAt.gte = start;
+        }
+
+        if (to) {
+            const end = new Date(to);
+            if (isNaN(end.getTime())) {
+                return res.status(400).json({ error: "Invalid date format" });
+            }
+            where.createdAt.lte = end;
+        }
+    }
+
+    const expiries = await prisma.transaction.findMany({
+        where,
+        select: { amount: true, ownerUserId: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const months = new Map();
+    for (const expiry of expiries) {
+        const month = expiry.createdAt.toISOString().slice(0, 7);
+        if (!months.has(month)) {
+            months.set(month, { month, points: 0, users: new Set() });
+        }
+        const entry = months.get(month);
+        entry.points += -expiry.amount;
+        entry.users.add(expiry.ownerUserId);
+    }
+
+    return res.status(200).json({
+        pointsExpiryMonths: await getSetting("pointsExpiryMonths"),
+        totalExpired: expiries.reduce((sum, expiry) => sum - expiry.amount, 0),
+        count: expiries.length,
+        users: new Set(expiries.map(expiry => expiry.ownerUserId)).size,
+        byMonth: [...months.values()].map(entry => ({
+            month: entry.month,
+            points: entry.points,
+            users: entry.users.size
+        }))
+    });
+});
+
+router.get("/:transactionId", authenticateJWT, requirePermission("transactions.view"), async (req, res) => {
     const { transactionId } = req.params;
 
     const txId = parseInt(transactionId, 10);
@@ -396,7 +538,8 @@ router.get("/:transactionId", authenticateJWT, requireRole("manager"), async (re
         include: {
             ownerUser: { select: { utorid: true } },
             creatorUser: { select: { utorid: true } },
-            promotions: { select: { id: true } }
+            promotions: { select: { id: true } },
+            apiKey: { select: { terminal: true, store: true } }
         }
     });
 
@@ -412,13 +555,18 @@ router.get("/:transactionId", authenticateJWT, requireRole("manager"), async (re
         promotionIds: transaction.promotions.map(p => p.id),
         suspicious: transaction.suspicious,
         remark: transaction.remark,
-        createdBy: transaction.creatorUser.utorid
+        createdBy: transaction.creatorUser.utorid,
+        terminal: transaction.apiKey ? transaction.apiKey.terminal : null,
+        store: transaction.apiKey ? transaction.apiKey.store : null
     };
 
     if (transaction.type === "purchase") {
         result.spent = transaction.spent;
+        result.refunded = transaction.refunded || 0;
     } else if (transaction.type === "redemption") {
         result.redeemed = transaction.redeemed;
+        result.rewardId = transaction.rewardId;
+        result.status = redemptionStatus(transaction);
     } else if (transaction.type === "adjustment") {
         result.relatedId = transaction.relatedTransactionId;
     } else if (transaction.type === "transfer") {
@@ -430,7 +578,7 @@ router.get("/:transactionId", authenticateJWT, requireRole("manager"), async (re
     return res.status(200).json(result);
 });
 
-router.patch("/:transactionId/suspicious", authenticateJWT, requireRole("manager"), async (req, res) => {
+router.patch("/:transactionId/suspicious", authenticateJWT, requirePermission("transactions.flag"), async (req, res) => {
     const { transactionId } = req.params;
     const { suspicious } = req.body;
 
@@ -461,42 +609,43 @@ router.patch("/:transactionId/suspicious", authenticateJWT, requireRole("manager
     }
 
     const wasSuspicious = transaction.suspicious;
+    res.locals.audit = { before: { suspicious: wasSuspicious }, after: { suspicious } };
 
-    await prisma.transaction.update({
-        where: { id: txId },
-        data: { suspicious: suspicious }
-    });
-
-    if (wasSuspicious && !suspicious) {
-        await prisma.user.update({
-            where: { id: transaction.ownerUserId },
-            data: { points: { increment: transaction.amount } }
+    await withLedger(async (tx) => {
+        const { count } = await tx.transaction.updateMany({
+            where: { id: txId, suspicious: wasSuspicious },
+            data: { suspicious: suspicious }
         });
 
-        const onetimePromotions = await prisma.promotion.findMany({
-            where: {
-                id: { in: transaction.promotions.map(p => p.id) },
-                type: "onetime"
-            }
-        });
+        if (count === 0) {
+            throw new LedgerError("Transaction was modified concurrently", 409);
+        }
 
-        for (const promo of onetimePromotions) {
-            await prisma.promotion.update({
-                where: { id: promo.id },
-                data: {
-                    usedBy: {
-                        connect: { id: transaction.ownerUserId }
-                    }
+        if (wasSuspicious && !suspicious) {
+            await applyBalance(tx, transaction.ownerUserId, transaction.amount);
+
+            const onetimePromotions = await tx.promotion.findMany({
+                where: {
+                    id: { in: transaction.promotions.map(p => p.id) },
+                    type: "onetime"
                 }
             });
+
+            for (const promo of onetimePromotions) {
+                await tx.promotion.update({
+                    where: { id: promo.id },
+                    data: {
+                        usedBy: {
+                            connect: { id: transaction.ownerUserId }
+                        }
+                    }
+                });
+            }
+        } 
+        else if (!wasSuspicious && suspicious) {
+            await applyBalance(tx, transaction.ownerUserId, -transaction.amount);
         }
-    } 
-    else if (!wasSuspicious && suspicious) {
-        await prisma.user.update({
-            where: { id: transaction.ownerUserId },
-            data: { points: { decrement: transaction.amount } }
-        });
-    }
+    });
 
     const result = {
         id: transaction.id,
@@ -516,7 +665,142 @@ router.patch("/:transactionId/suspicious", authenticateJWT, requireRole("manager
     return res.status(200).json(result);
 });
 
-router.patch("/:transactionId/processed", authenticateJWT, requireRole("cashier"), async (req, res) => {
+router.post("/:transactionId/refund", authenticateJWT, requirePermission("transactions.refund"), idempotent, async (req, res) => {
+    const { transactionId } = req.params;
+    const { spent, remark = "" } = req.body;
+
+    const txId = parseInt(transactionId, 10);
+    if (isNaN(txId)) {
+        return res.status(400).json({ error: "Invalid transaction ID" });
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+        where: { id: txId },
+        include: {
+            ownerUser: true,
+            promotions: true
+        }
+    });
+
+    if (!transaction) {
+        return res.status(404).json({ error: "Transaction not found" });
+    }
+
+    if (transaction.type !== "purchase") {
+        return res.status(400).json({ error: "Only purchases can be refunded" });
+    }
+
+    if (transaction.suspicious) {
+        return res.status(400).json({ error: "Cannot refund a suspicious transaction" });
+    }
+
+    const alreadyRefunded = transaction.refunded || 0;
+    const refundable = Math.round((transaction.spent - alreadyRefunded) * 100) / 100;
+
+    if (refundable <= 0) {
+        return res.status(400).json({ error: "Transaction has already been fully refunded" });
+    }
+
+    let refundSpent = refundable;
+    if (spent !== undefined && spent !== null) {
+        if (typeof spent !== 'number' || spent <= 0) {
+            return res.status(400).json({ error: "spent must be a positive number" });
+        }
+        if (spent > refundable) {
+            return res.status(400).json({ error: "spent exceeds the refundable amount" });
+        }
+        refundSpent = spent;
+    }
+
+    const remaining = Math.round((refundable - refundSpent) * 100) / 100;
+    const fullRefund = remaining <= 0;
+    // the earning rate in force when the purchase was made, purchases recorded before it was stored use today's
+    const rate = transaction.earningRate !== null ? transaction.earningRate : await getSetting("earningRate");
+    const bonusCap = await getSetting("promotionBonusCap");
+
+    // points the purchase is worth at a given spend: base points at the tier multiplier it was granted plus
+    // the promotion bonus it was granted prorated, purchases recorded before the bonus was stored recompute it
+    const multiplier = transaction.multiplier !== null ? transaction.multiplier : 1;
+    const bonusAt = (amountSpent) => {
+        if (transaction.bonus !== null) {
+            return Math.round(transaction.bonus * amountSpent / transaction.spent);
+        }
+        return purchasePoints(amountSpent, transaction.promotions, rate, multiplier, bonusCap) - basePoints(amountSpent, rate, multiplier);
+    };
+    const pointsAt = (amountSpent) => {
+        if (amountSpent <= 0) return 0;
+        if (amountSpent >= transaction.spent) return transaction.amount;
+        return Math.min(transaction.amount, basePoints(amountSpent, rate, multiplier) + bonusAt(amountSpent));
+    };
+
+    const amount = pointsAt(remaining) - pointsAt(refundable);
+
+    const refund = await withLedger(async (tx) => {
+        const { count } = await tx.transaction.updateMany({
+            where: { id: txId, refunded: transaction.refunded },
+            data: { refunded: alreadyRefunded + refundSpent }
+        });
+
+        if (count === 0) {
+            throw new LedgerError("Transaction was modified concurrently", 409);
+        }
+
+        const created = await postTransaction(tx, {
+            type: "adjustment",
+            amount: amount,
+            remark: remark,
+            suspicious: false,
+            ownerUserId: transaction.ownerUserId,
+            creatorUserId: req.auth.id,
+            apiKeyId: req.auth.apiKeyId,
+            relatedTransactionId: txId
+        });
+
+        if (fullRefund) {
+            await releasePromotionUsage(tx, transaction.ownerUserId, transaction.promotions.map(p => p.id));
+
+            const onetimePromotions = transaction.promotions.filter(p => p.type === "onetime");
+            for (const promo of onetimePromotions) {
+                await tx.promotion.update({
+                    where: { id: promo.id },
+                    data: {
+                        usedBy: {
+                            disconnect: { id: transaction.ownerUserId }
+                        }
+                    }
+                });
+            }
+        }
+
+        return created;
+    });
+
+    await recalculateTier(transaction.ownerUserId).catch(err => console.error(`tier recalculation failed: ${err.message}`));
+
+    const manager = await prisma.user.findUnique({
+        where: { id: req.auth.id }
+    });
+
+    res.locals.audit = {
+        before: { refunded: alreadyRefunded },
+        after: { refunded: alreadyRefunded + refundSpent, adjustmentId: refund.id, amount: refund.amount }
+    };
+
+    return res.status(201).json({
+        id: refund.id,
+        utorid: transaction.ownerUser.utorid,
+        amount: refund.amount,
+        type: refund.type,
+        relatedId: txId,
+        refunded: refundSpent,
+        remainingSpent: remaining,
+        fullRefund: fullRefund,
+        remark: refund.remark,
+        createdBy: manager.utorid
+    });
+});
+
+router.patch("/:transactionId/processed", authenticateJWT, requirePermission("transactions.process", "redemption:process"), async (req, res) => {
     const { transactionId } = req.params;
     const { processed } = req.body;
 
@@ -545,21 +829,39 @@ router.patch("/:transactionId/processed", authenticateJWT, requireRole("cashier"
         return res.status(400).json({ error: "Transaction is not a redemption" });
     }
 
-    if (transaction.processorUserId !== null) {
+    const status = redemptionStatus(transaction);
+
+    if (status === "processed") {
         return res.status(400).json({ error: "Redemption already processed" });
     }
 
-    await prisma.transaction.update({
-        where: { id: txId },
-        data: {
-            processorUserId: req.auth.id,
-            redeemed: Math.abs(transaction.amount)
+    if (status === "cancelled") {
+        return res.status(400).json({ error: "Redemption has been cancelled" });
+    }
+
+    if (status === "expired") {
+        return res.status(400).json({ error: "Redemption has expired" });
+    }
+
+    await withLedger(async (tx) => {
+        const { count } = await tx.transaction.updateMany({
+            where: { id: txId, processorUserId: null, cancelledAt: null, expiredAt: null },
+            data: {
+                processorUserId: req.auth.id,
+                processorApiKeyId: req.auth.apiKeyId,
+                redeemed: Math.abs(transaction.amount)
+            }
+        });
+
+        if (count === 0) {
+            throw new LedgerError("Redemption is no longer pending");
         }
-    });
 
-    await prisma.user.update({
-        where: { id: transaction.ownerUserId },
-        data: { points: { decrement: Math.abs(transaction.amount) } }
+        await settleHold(tx, transaction.ownerUserId, Math.abs(transaction.amount));
+
+        if (transaction.rewardId !== null) {
+            await consumeRewardStock(tx, transaction.rewardId);
+        }
     });
 
     const processor = await prisma.user.findUnique({
@@ -572,6 +874,7 @@ router.patch("/:transactionId/processed", authenticateJWT, requireRole("cashier"
         type: transaction.type,
         processedBy: processor.utorid,
         redeemed: Math.abs(transaction.amount),
+        rewardId: transaction.rewardId,
         remark: transaction.remark,
         createdBy: transaction.creatorUser.utorid
     });
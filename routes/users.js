@@ -5,54 +5,107 @@ require('dotenv').config();
 
 // require all dependencies
 const express = require("express");
+const fs = require("fs");
+const path = require("path");
 const bcrypt = require("bcrypt");
-const {v4: uuidv4} = require("uuid");
+const archiver = require("archiver");
+const {parse} = require("csv-parse/sync");
 const prisma = require("../prisma/db");
-const {authenticateJWT, requireRole} = require('../middleware/auth');
+const {roleHierarchy, authenticateJWT, requirePermission, can} = require('../middleware/auth');
+const idempotent = require('../middleware/idempotency');
 const upload = require('../middleware/upload');
+const {csvUpload} = require('../middleware/upload');
+const {withLedger, holdPoints, postTransaction} = require("../services/ledger");
+const {redemptionStatus, isRewardAvailable, voidRedemption} = require("../services/redemptions");
+const {getSetting} = require("../services/settings");
+const {hashToken, revokeSessions} = require("../services/tokens");
+const {generateSecret, provisioningUri, verifyCode, generateRecoveryCodes} = require("../services/totp");
+const {clearThrottle} = require("../services/throttle");
+const {exposeTokens, sendActivationEmail} = require("../services/mailer");
+const {emailRegex, passwordRegex, validateNewUser, findUserConflict, newActivation, collectPersonalData, anonymizeUser} = require("../services/users");
+const {pickFields} = require("../services/audit");
+const {exportFormatError, streamExport} = require("../services/export");
+const {expirySummary} = require("../services/expiry");
+const {formatTier} = require("../services/tiers");
+const {availablePromotions} = require("../services/earning");
 
 // create router and endpoints
 const router = express.Router();
 
-router.post("/", authenticateJWT, requireRole("cashier"), async (req, res) => {
-    const {utorid, name, email} = req.body;
-    
-    if (!utorid || !name || !email) {
-        return res.status(400).json({ error: "utorid, name, and email are required" });
-    }
+// query filters shared by the user list and export
+const buildUserFilter = (query) => {
+    const { name, role, verified, activated } = query;
 
-    const utoridRegex = /^[a-zA-Z0-9]{7,8}$/;
-    const emailRegex = /^[a-zA-Z0-9._%+-]+@(mail\.)?utoronto\.ca$/;
+    const where = {};
 
-    if (!utoridRegex.test(utorid)) {
-        return res.status(400).json({ error: "Invalid utorid format" });
+    if (name) {
+        where.OR = [
+            { utorid: { contains: name } },
+            { name: { contains: name } }
+        ];
     }
 
-    if (!emailRegex.test(email)) {
-        return res.status(400).json({ error: "Invalid email format" });
+    if (role) {
+        where.role = role;
     }
 
-    if (name.length < 1 || name.length > 50) {
-        return res.status(400).json({ error: "Name must be 1-50 characters" });
+    if (verified !== undefined) {
+        where.verified = verified === 'true';
     }
 
-    const existingEmail = await prisma.user.findFirst({
-        where: {email: email}
-    });
-    
-    if (existingEmail) {
-        return res.status(409).json({ error: "User with this email already exists" }); 
+    if (activated !== undefined) {
+        if (activated === 'true') {
+            where.lastLogin = { not: null };
+        } else {
+            where.lastLogin = null;
+        }
     }
+
+    return where;
+};
+
+const userListSelect = {
+    id: true,
+    utorid: true,
+    name: true,
+    email: true,
+    birthday: true,
+    role: true,
+    points: true,
+    createdAt: true,
+    lastLogin: true,
+    verified: true,
+    avatarUrl: true
+};
+
+const formatUser = (user) => ({
+    id: user.id,
+    utorid: user.utorid,
+    name: user.name,
+    email: user.email,
+    birthday: user.birthday ? user.birthday.toISOString().split('T')[0] : null,
+    role: user.role,
+    points: user.points,
+    createdAt: user.createdAt.toISOString(),
+    lastLogin: user.lastLogin ? user.lastLogin.toISOString() : null,
+    verified: user.verified,
+    avatarUrl: user.avatarUrl
+});
+
+router.post("/", authenticateJWT, requirePermission("users.create", "user:create"), async (req, res) => {
+    const {utorid, name, email} = req.body;
     
-    const existingUtorid = await prisma.user.findUnique({
-        where: {utorid: utorid}
-    });
-    if (existingUtorid) {
-        return res.status(409).json({ error: "User with this UTORid already exists" }); 
+    const invalid = validateNewUser({utorid, name, email});
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    const conflict = await findUserConflict({utorid, email});
+    if (conflict) {
+        return res.status(409).json({ error: conflict }); 
     }
     
-    const resetToken = uuidv4();
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const { token: resetToken, expiresAt } = await newActivation();
     
     const user = await prisma.user.create({
         data: {
@@ -67,91 +120,176 @@ router.post("/", authenticateJWT, requireRole("cashier"), async (req, res) => {
         }
     });
     
-    return res.status(201).json({
+    try {
+        await sendActivationEmail(user, resetToken, expiresAt);
+    } catch (err) {
+        console.error(`cannot send activation email to ${user.email}: ${err.message}`);
+    }
+
+    const response = {
         id: user.id,
         utorid: user.utorid,
         name: user.name,
         email: user.email,
         verified: user.verified,
-        expiresAt: expiresAt.toISOString(),
-        resetToken: resetToken
-    });
+        expiresAt: expiresAt.toISOString()
+    };
+
+    if (exposeTokens) {
+        response.resetToken = resetToken;
+    }
+
+    res.locals.audit = { targetId: user.id, after: { utorid: user.utorid, email: user.email, role: user.role } };
+
+    return res.status(201).json(response);
 });
 
-router.get("/", authenticateJWT, requireRole("manager"), async (req, res) => {
-    const { name, role, verified, activated, page = 1, limit = 10 } = req.query;
+// register a cohort from a CSV file with utorid, name and email columns;
+// dryRun=true reports what would happen without creating anyone
+router.post("/import", authenticateJWT, requirePermission("users.import"), csvUpload.single('file'), async (req, res) => {
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === 'true');
 
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
+    if (!req.file) {
+        return res.status(400).json({ error: "file is required" });
+    }
 
-    if (isNaN(pageNum) || pageNum < 1) {
-        return res.status(400).json({ error: "Invalid page number" });
+    let rows;
+    try {
+        rows = parse(req.file.buffer, {
+            columns: header => header.map(column => column.trim().toLowerCase()),
+            skip_empty_lines: true,
+            trim: true,
+            bom: true
+        });
+    } catch (err) {
+        return res.status(400).json({ error: `Invalid CSV: ${err.message}` });
     }
 
-    if (isNaN(limitNum) || limitNum < 1) {
-        return res.status(400).json({ error: "Invalid limit" });
+    if (rows.length === 0) {
+        return res.status(400).json({ error: "CSV file has no rows" });
     }
 
-    const where = {};
+    const columns = Object.keys(rows[0]);
+    if (!["utorid", "name", "email"].every(column => columns.includes(column))) {
+        return res.status(400).json({ error: "CSV must have utorid, name, and email columns" });
+    }
 
-    if (name) {
-        where.OR = [
-            { utorid: { contains: name } },
-            { name: { contains: name } }
-        ];
+    const results = [];
+    const pending = [];
+    const seenUtorids = new Map();
+    const seenEmails = new Map();
+
+    for (const [index, row] of rows.entries()) {
+        // row numbers match the file, the header is row 1
+        const rowNumber = index + 2;
+        const {utorid, name, email} = row;
+
+        const invalid = validateNewUser({utorid, name, email});
+        if (invalid) {
+            results.push({ row: rowNumber, utorid, status: "error", error: invalid });
+            continue;
+        }
+
+        const earlierRow = seenUtorids.get(utorid) || seenEmails.get(email);
+        if (earlierRow) {
+            results.push({ row: rowNumber, utorid, status: "skipped", error: `Duplicate of row ${earlierRow}` });
+            continue;
+        }
+        seenUtorids.set(utorid, rowNumber);
+        seenEmails.set(email, rowNumber);
+
+        const conflict = await findUserConflict({utorid, email});
+        if (conflict) {
+            results.push({ row: rowNumber, utorid, status: "skipped", error: conflict });
+            continue;
+        }
+
+        const result = { row: rowNumber, utorid, status: dryRun ? "valid" : "created" };
+        results.push(result);
+        pending.push({ result, data: { utorid, name, email } });
     }
 
-    if (role) {
-        where.role = role;
+    if (!dryRun && pending.length > 0) {
+        const activations = await Promise.all(pending.map(() => newActivation()));
+
+        let users;
+        try {
+            users = await prisma.$transaction(pending.map(({ data }, i) => prisma.user.create({
+                data: {
+                    ...data,
+                    role: "regular",
+                    verified: false,
+                    points: 0,
+                    resetToken: activations[i].token,
+                    resetTokenExpiry: activations[i].expiresAt
+                }
+            })));
+        } catch (err) {
+            if (err.code === 'P2002') {
+                return res.status(409).json({ error: "Users were created during the import, please retry" });
+            }
+            throw err;
+        }
+
+        for (const [i, user] of users.entries()) {
+            const { result } = pending[i];
+            const { token, expiresAt } = activations[i];
+
+            result.id = user.id;
+            result.expiresAt = expiresAt.toISOString();
+            if (exposeTokens) {
+                result.resetToken = token;
+            }
+
+            try {
+                await sendActivationEmail(user, token, expiresAt);
+            } catch (err) {
+                console.error(`cannot send activation email to ${user.email}: ${err.message}`);
+            }
+        }
+
+        res.locals.audit = { targetType: "users", after: { imported: users.map(user => user.utorid) } };
     }
 
-    if (verified !== undefined) {
-        where.verified = verified === 'true';
+    const countStatus = (status) => results.filter(result => result.status === status).length;
+
+    return res.status(!dryRun && pending.length > 0 ? 201 : 200).json({
+        dryRun,
+        created: dryRun ? 0 : pending.length,
+        valid: pending.length,
+        skipped: countStatus("skipped"),
+        errored: countStatus("error"),
+        results
+    });
+});
+
+router.get("/", authenticateJWT, requirePermission("users.list"), async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({ error: "Invalid page number" });
     }
 
-    if (activated !== undefined) {
-        if (activated === 'true') {
-            where.lastLogin = { not: null };
-        } else {
-            where.lastLogin = null;
-        }
+    if (isNaN(limitNum) || limitNum < 1) {
+        return res.status(400).json({ error: "Invalid limit" });
     }
 
+    const where = buildUserFilter(req.query);
+
     const [count, users] = await Promise.all([
         prisma.user.count({ where }),
         prisma.user.findMany({
             where,
             skip: (pageNum - 1) * limitNum,
             take: limitNum,
-            select: {
-                id: true,
-                utorid: true,
-                name: true,
-                email: true,
-                birthday: true,
-                role: true,
-                points: true,
-                createdAt: true,
-                lastLogin: true,
-                verified: true,
-                avatarUrl: true
-            }
+            select: userListSelect
         })
     ]);
 
-    const results = users.map(user => ({
-        id: user.id,
-        utorid: user.utorid,
-        name: user.name,
-        email: user.email,
-        birthday: user.birthday ? user.birthday.toISOString().split('T')[0] : null,
-        role: user.role,
-        points: user.points,
-        createdAt: user.createdAt.toISOString(),
-        lastLogin: user.lastLogin ? user.lastLogin.toISOString() : null,
-        verified: user.verified,
-        avatarUrl: user.avatarUrl
-    }));
+    const results = users.map(formatUser);
 
     return res.status(200).json({
         count,
@@ -159,39 +297,39 @@ router.get("/", authenticateJWT, requireRole("manager"), async (req, res) => {
     });
 });
 
-router.get("/me", authenticateJWT, requireRole("regular"), async (req, res) => {
+// the whole filtered list as CSV or NDJSON, streamed in batches
+router.get("/export", authenticateJWT, requirePermission("users.list"), async (req, res) => {
+    const { format = "csv" } = req.query;
+
+    const formatError = exportFormatError(format);
+    if (formatError) {
+        return res.status(400).json({ error: formatError });
+    }
+
+    const where = buildUserFilter(req.query);
+
+    await streamExport(res, {
+        format,
+        filename: "users",
+        columns: ["id", "utorid", "name", "email", "birthday", "role", "points", "createdAt", "lastLogin", "verified", "avatarUrl"],
+        fetchBatch: (page) => prisma.user.findMany({ where, select: userListSelect, ...page }),
+        toRecord: formatUser
+    });
+});
+
+router.get("/me", authenticateJWT, requirePermission("account.manage"), async (req, res) => {
     const userId = req.auth.id;
 
     const user = await prisma.user.findUnique({
-        where: { id: userId }
+        where: { id: userId },
+        include: { tier: true }
     });
 
     if (!user) {
         return res.status(404).json({ error: "User not found" });
     }
 
-    const now = new Date();
-    const availablePromotions = await prisma.promotion.findMany({
-        where: {
-            type: "onetime",
-            startTime: { lte: now },
-            endTime: { gte: now },
-            NOT: {
-                usedBy: {
-                    some: {
-                        id: userId
-                    }
-                }
-            }
-        },
-        select: {
-            id: true,
-            name: true,
-            minSpending: true,
-            rate: true,
-            points: true
-        }
-    });
+    const promotions = await availablePromotions(user, user.tier);
 
     return res.status(200).json({
         id: user.id,
@@ -201,15 +339,18 @@ router.get("/me", authenticateJWT, requireRole("regular"), async (req, res) => {
         birthday: user.birthday ? user.birthday.toISOString().split('T')[0] : null,
         role: user.role,
         points: user.points,
+        pointsHeld: user.pointsHeld,
         createdAt: user.createdAt.toISOString(),
         lastLogin: user.lastLogin ? user.lastLogin.toISOString() : null,
         verified: user.verified,
         avatarUrl: user.avatarUrl,
-        promotions: availablePromotions
+        tier: formatTier(user.tier),
+        promotions: promotions,
+        expiringSoon: await expirySummary(user)
     });
 });
 
-router.patch("/me", authenticateJWT, requireRole("regular"), upload.single('avatar'), async (req, res) => {
+router.patch("/me", authenticateJWT, requirePermission("account.manage"), upload.single('avatar'), async (req, res) => {
     const userId = req.auth.id;
     const { name, email, birthday } = req.body;
 
@@ -227,7 +368,6 @@ router.patch("/me", authenticateJWT, requireRole("regular"), upload.single('avat
             return res.status(400).json({ error: "Invalid email format" });
         }
 
-        const emailRegex = /^[a-zA-Z0-9._%+-]+@(mail\.)?utoronto\.ca$/;
         if (!emailRegex.test(email)) {
             return res.status(400).json({ error: "Invalid email format" });
         }
@@ -301,7 +441,7 @@ router.patch("/me", authenticateJWT, requireRole("regular"), upload.single('avat
     });
 });
 
-router.patch("/me/password", authenticateJWT, requireRole("regular"), async (req, res) => {
+router.patch("/me/password", authenticateJWT, requirePermission("account.manage"), async (req, res) => {
     const userId = req.auth.id;
     const { old, new: newPassword } = req.body;
 
@@ -322,7 +462,6 @@ router.patch("/me/password", authenticateJWT, requireRole("regular"), async (req
         return res.status(403).json({ error: "Incorrect current password" });
     }
 
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,20}$/;
     if (!passwordRegex.test(newPassword)) {
         return res.status(400).json({ error: "Invalid password format" });
     }
@@ -334,10 +473,172 @@ router.patch("/me/password", authenticateJWT, requireRole("regular"), async (req
         data: { password: hashedPassword }
     });
 
+    await revokeSessions(userId);
+
     return res.status(200).json({ message: "Password updated successfully" });
 });
 
-router.get("/lookup/:utorid", authenticateJWT, requireRole("regular"), async (req, res) => {
+router.post("/me/2fa", authenticateJWT, requirePermission("account.manage"), async (req, res) => {
+    const userId = req.auth.id;
+
+    const user = await prisma.user.findUnique({
+        where: { id: userId }
+    });
+
+    if (user.totpEnabled) {
+        return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    const recoveryCodes = generateRecoveryCodes();
+
+    await prisma.$transaction([
+        prisma.recoveryCode.deleteMany({ where: { userId } }),
+        prisma.recoveryCode.createMany({
+            data: recoveryCodes.map(code => ({ userId, codeHash: hashToken(code) }))
+        }),
+        prisma.user.update({
+            where: { id: userId },
+            data: { totpSecret: secret, totpLastCounter: null }
+        })
+    ]);
+
+    return res.status(201).json({
+        secret: secret,
+        uri: provisioningUri(secret, user.utorid),
+        recoveryCodes: recoveryCodes
+    });
+});
+
+router.post("/me/2fa/verify", authenticateJWT, requirePermission("account.manage"), async (req, res) => {
+    const userId = req.auth.id;
+    const { code } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ error: "code is required" });
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { id: userId }
+    });
+
+    if (user.totpEnabled) {
+        return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.totpSecret) {
+        return res.status(400).json({ error: "Two-factor enrolment has not been started" });
+    }
+
+    const counter = verifyCode(user.totpSecret, code);
+    if (counter === null) {
+        return res.status(400).json({ error: "Invalid code" });
+    }
+
+    await prisma.user.update({
+        where: { id: userId },
+        data: { totpEnabled: true, totpLastCounter: counter }
+    });
+
+    return res.status(200).json({ enabled: true });
+});
+
+router.delete("/me/2fa", authenticateJWT, requirePermission("account.manage"), async (req, res) => {
+    const userId = req.auth.id;
+    const { password } = req.body || {};
+
+    if (!password) {
+        return res.status(400).json({ error: "password is required" });
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { id: userId }
+    });
+
+    if (!user.totpSecret) {
+        return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    if (!user.password || !await bcrypt.compare(password, user.password)) {
+        return res.status(403).json({ error: "Incorrect password" });
+    }
+
+    const requiredRole = await getSetting("mfaRequiredRole");
+    if (requiredRole !== "none" && roleHierarchy[user.role] >= roleHierarchy[requiredRole]) {
+        return res.status(403).json({ error: "Two-factor authentication is required for your role" });
+    }
+
+    await prisma.$transaction([
+        prisma.recoveryCode.deleteMany({ where: { userId } }),
+        prisma.user.update({
+            where: { id: userId },
+            data: { totpSecret: null, totpEnabled: false, totpLastCounter: null }
+        })
+    ]);
+
+    return res.status(204).send();
+});
+
+// download everything stored about the current user as a zip archive
+router.get("/me/export", authenticateJWT, requirePermission("account.manage"), async (req, res) => {
+    const data = await collectPersonalData(req.auth.id);
+    const date = new Date().toISOString().split('T')[0];
+
+    res.status(200);
+    res.set("Content-Type", "application/zip");
+    res.set("Content-Disposition", `attachment; filename="${data.profile.utorid}-data-${date}.zip"`);
+
+    const archive = archiver("zip");
+
+    archive.on("error", (err) => {
+        console.error(`cannot build data export for user ${req.auth.id}: ${err.message}`);
+        res.destroy(err);
+    });
+
+    archive.pipe(res);
+    archive.append(JSON.stringify(data.profile, null, 2), { name: "profile.json" });
+    archive.append(JSON.stringify(data.transactions, null, 2), { name: "transactions.json" });
+    archive.append(JSON.stringify(data.rsvps, null, 2), { name: "rsvps.json" });
+    archive.append(JSON.stringify(data.organizedEvents, null, 2), { name: "organized-events.json" });
+
+    if (data.profile.avatarUrl) {
+        const avatarPath = path.join('.', data.profile.avatarUrl);
+        if (fs.existsSync(avatarPath)) {
+            archive.file(avatarPath, { name: `avatar${path.extname(avatarPath)}` });
+        }
+    }
+
+    await archive.finalize();
+});
+
+// close the current user's account, the row is anonymized rather than deleted to keep the ledger intact
+router.delete("/me", authenticateJWT, requirePermission("account.manage"), async (req, res) => {
+    const { password } = req.body || {};
+
+    if (!password) {
+        return res.status(400).json({ error: "password is required" });
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { id: req.auth.id }
+    });
+
+    if (!user.password || !await bcrypt.compare(password, user.password)) {
+        return res.status(403).json({ error: "Incorrect password" });
+    }
+
+    const avatarUrl = await anonymizeUser(user);
+
+    if (avatarUrl) {
+        fs.unlink(path.join('.', avatarUrl), () => {});
+    }
+
+    res.locals.audit = { targetId: user.id };
+
+    return res.status(204).send();
+});
+
+router.get("/lookup/:utorid", authenticateJWT, requirePermission("users.lookup", "user:read"), async (req, res) => {
   try {
     const { utorid } = req.params;
     
@@ -362,9 +663,8 @@ router.get("/lookup/:utorid", authenticateJWT, requireRole("regular"), async (re
   }
 });
 
-router.get("/:userId", authenticateJWT, requireRole("cashier"), async (req, res) => {
+router.get("/:userId", authenticateJWT, requirePermission("users.view", "user:read"), async (req, res) => {
     const { userId } = req.params;
-    const currentUserRole = req.auth.role;
     
     const targetUserId = parseInt(userId, 10);
     if (isNaN(targetUserId)) {
@@ -372,70 +672,28 @@ router.get("/:userId", authenticateJWT, requireRole("cashier"), async (req, res)
     }
 
     const user = await prisma.user.findUnique({
-        where: { id: targetUserId }
+        where: { id: targetUserId },
+        include: { tier: true }
     });
 
     if (!user) {
         return res.status(404).json({ error: "User not found" });
     }
 
-    if (currentUserRole === "cashier") {
-        const now = new Date();
-        const availablePromotions = await prisma.promotion.findMany({
-            where: {
-                type: "onetime",
-                startTime: { lte: now },
-                endTime: { gte: now },
-                NOT: {
-                    usedBy: {
-                        some: {
-                            id: targetUserId
-                        }
-                    }
-                }
-            },
-            select: {
-                id: true,
-                name: true,
-                minSpending: true,
-                rate: true,
-                points: true
-            }
-        });
+    const promotions = await availablePromotions(user, user.tier);
 
+    if (!can(req, "users.list")) {
         return res.status(200).json({
             id: user.id,
             utorid: user.utorid,
             name: user.name,
             points: user.points,
             verified: user.verified,
-            promotions: availablePromotions
+            tier: formatTier(user.tier),
+            promotions: promotions
         });
     }
 
-    const now = new Date();
-    const availablePromotions = await prisma.promotion.findMany({
-        where: {
-            type: "onetime",
-            startTime: { lte: now },
-            endTime: { gte: now },
-            NOT: {
-                usedBy: {
-                    some: {
-                        id: targetUserId
-                    }
-                }
-            }
-        },
-        select: {
-            id: true,
-            name: true,
-            minSpending: true,
-            rate: true,
-            points: true
-        }
-    });
-
     return res.status(200).json({
         id: user.id,
         utorid: user.utorid,
@@ -444,15 +702,17 @@ router.get("/:userId", authenticateJWT, requireRole("cashier"), async (req, res)
         birthday: user.birthday ? user.birthday.toISOString().split('T')[0] : null,
         role: user.role,
         points: user.points,
+        pointsHeld: user.pointsHeld,
         createdAt: user.createdAt.toISOString(),
         lastLogin: user.lastLogin ? user.lastLogin.toISOString() : null,
         verified: user.verified,
         avatarUrl: user.avatarUrl,
-        promotions: availablePromotions
+        tier: formatTier(user.tier),
+        promotions: promotions
     });
 });
 
-router.patch("/:userId", authenticateJWT, requireRole("manager"), async (req, res) => {
+router.patch("/:userId", authenticateJWT, requirePermission(["users.edit", "users.verify", "users.flag", "users.promote", "users.promote.any"]), async (req, res) => {
     const { userId } = req.params;
     const { email, verified, suspicious, role } = req.body;
     
@@ -470,10 +730,12 @@ router.patch("/:userId", authenticateJWT, requireRole("manager"), async (req, re
     }
     
     const updateData = {};
-    const currentUserRole = req.auth.role;
 
     if (email !== undefined && email !== null) {
-        const emailRegex = /^[a-zA-Z0-9._%+-]+@(mail\.)?utoronto\.ca$/;
+        if (!can(req, "users.edit")) {
+            return res.status(403).json({ error: "Insufficient permissions" });
+        }
+
         if (!emailRegex.test(email)) {
             return res.status(400).json({ error: "Invalid email format" });
         }
@@ -493,6 +755,10 @@ router.patch("/:userId", authenticateJWT, requireRole("manager"), async (req, re
     }
 
     if (verified !== undefined && verified !== null) {
+        if (!can(req, "users.verify")) {
+            return res.status(403).json({ error: "Insufficient permissions" });
+        }
+
         if (verified !== true) {
             return res.status(400).json({ error: "Verified must be true" });
         }
@@ -500,6 +766,10 @@ router.patch("/:userId", authenticateJWT, requireRole("manager"), async (req, re
     }
 
     if (suspicious !== undefined && suspicious !== null) {
+        if (!can(req, "users.flag")) {
+            return res.status(403).json({ error: "Insufficient permissions" });
+        }
+
         if (typeof suspicious !== 'boolean') {
             return res.status(400).json({ error: "Suspicious must be a boolean" });
         }
@@ -512,10 +782,9 @@ router.patch("/:userId", authenticateJWT, requireRole("manager"), async (req, re
             return res.status(400).json({ error: "Invalid role" });
         }
         
-        if (currentUserRole === "manager") {
-            if (role !== "cashier" && role !== "regular") {
-                return res.status(403).json({ error: "Insufficient permissions" });
-        }
+        const staffRole = role === "cashier" || role === "regular";
+        if (!can(req, "users.promote.any") && !(staffRole && can(req, "users.promote"))) {
+            return res.status(403).json({ error: "Insufficient permissions" });
         }
         
         if (role === "cashier") {
@@ -545,6 +814,13 @@ router.patch("/:userId", authenticateJWT, requireRole("manager"), async (req, re
         data: updateData
     });
 
+    res.locals.audit = { before: pickFields(targetUser, updateData), after: updateData };
+
+    // the old role claim must not outlive a role change
+    if (updateData.role && updateData.role !== targetUser.role) {
+        await revokeSessions(targetUserId);
+    }
+
     const response = {
         id: targetUser.id,
         utorid: targetUser.utorid,
@@ -567,13 +843,35 @@ router.patch("/:userId", authenticateJWT, requireRole("manager"), async (req, re
     return res.status(200).json(response);
 });
 
-router.post("/me/transactions", authenticateJWT, requireRole("regular"), async (req, res) => {
-    const { type, amount, remark = "" } = req.body;
+router.post("/me/transactions", authenticateJWT, requirePermission("points.redeem"), idempotent, async (req, res) => {
+    const { type, rewardId, remark = "" } = req.body;
+    let { amount } = req.body;
 
     if (!type || type !== "redemption") {
         return res.status(400).json({ error: "type must be 'redemption'" });
     }
 
+    let reward = null;
+    if (rewardId !== undefined && rewardId !== null) {
+        if (!Number.isInteger(rewardId)) {
+            return res.status(400).json({ error: "rewardId must be an integer" });
+        }
+
+        reward = await prisma.reward.findUnique({
+            where: { id: rewardId }
+        });
+
+        if (!reward || !isRewardAvailable(reward)) {
+            return res.status(404).json({ error: "Reward not found" });
+        }
+
+        if (amount !== undefined && amount !== null && amount !== reward.pointsCost) {
+            return res.status(400).json({ error: "amount does not match the reward's point cost" });
+        }
+
+        amount = reward.pointsCost;
+    }
+
     if (amount === undefined || amount === null) {
         return res.status(400).json({ error: "amount is required" });
     }
@@ -596,14 +894,20 @@ router.post("/me/transactions", authenticateJWT, requireRole("regular"), async (
         return res.status(400).json({ error: "Insufficient points" });
     }
 
-    const transaction = await prisma.transaction.create({
-        data: {
+    const transaction = await withLedger(async (tx) => {
+        const created = await postTransaction(tx, {
             type: "redemption",
             amount: -amount,
             remark: remark,
             ownerUserId: userId,
-            creatorUserId: userId
-        }
+            creatorUserId: userId,
+            apiKeyId: req.auth.apiKeyId,
+            rewardId: reward ? reward.id : null
+        }, 0);
+
+        await holdPoints(tx, userId, amount);
+
+        return created;
     });
 
     return res.status(201).json({
@@ -612,12 +916,13 @@ router.post("/me/transactions", authenticateJWT, requireRole("regular"), async (
         type: transaction.type,
         processedBy: null,
         amount: amount,
+        rewardId: transaction.rewardId,
         remark: transaction.remark,
         createdBy: user.utorid
     });
 });
 
-router.post("/:userId/transactions", authenticateJWT, requireRole("regular"), async (req, res) => {
+router.post("/:userId/transactions", authenticateJWT, requirePermission("points.transfer"), idempotent, async (req, res) => {
     const { userId } = req.params;
     const { type, amount, remark = "" } = req.body;
 
@@ -660,40 +965,32 @@ router.post("/:userId/transactions", authenticateJWT, requireRole("regular"), as
         where: { id: recipientId }
     });
 
-    if (!recipient) {
+    if (!recipient || recipient.deletedAt) {
         return res.status(404).json({ error: "Recipient not found" });
     }
 
-    const senderTransaction = await prisma.transaction.create({
-        data: {
+    const senderTransaction = await withLedger(async (tx) => {
+        const sent = await postTransaction(tx, {
             type: "transfer",
             amount: -amount,
             remark: remark,
             ownerUserId: senderId,
             creatorUserId: senderId,
+            apiKeyId: req.auth.apiKeyId,
             relatedUserId: recipientId
-        }
-    });
+        });
 
-    const recipientTransaction = await prisma.transaction.create({
-        data: {
+        await postTransaction(tx, {
             type: "transfer",
             amount: amount,
             remark: remark,
             ownerUserId: recipientId,
             creatorUserId: senderId,
+            apiKeyId: req.auth.apiKeyId,
             relatedUserId: senderId
-        }
-    });
-
-    await prisma.user.update({
-        where: { id: senderId },
-        data: { points: { decrement: amount } }
-    });
+        });
 
-    await prisma.user.update({
-        where: { id: recipientId },
-        data: { points: { increment: amount } }
+        return sent;
     });
 
     return res.status(201).json({
@@ -707,7 +1004,7 @@ router.post("/:userId/transactions", authenticateJWT, requireRole("regular"), as
     });
 });
 
-router.get("/me/transactions", authenticateJWT, requireRole("regular"), async (req, res) => {
+router.get("/me/transactions", authenticateJWT, requirePermission("account.manage"), async (req, res) => {
     const { type, relatedId, promotionId, amount, operator, page = 1, limit = 10 } = req.query;
 
     const pageNum = parseInt(page, 10);
@@ -798,6 +1095,8 @@ router.get("/me/transactions", authenticateJWT, requireRole("regular"), async (r
             result.spent = t.spent;
         } else if (t.type === "redemption") {
             result.redeemed = t.redeemed;
+            result.rewardId = t.rewardId;
+            result.status = redemptionStatus(t);
         } else if (t.type === "adjustment") {
             result.relatedId = t.relatedTransactionId;
         } else if (t.type === "transfer") {
@@ -812,7 +1111,57 @@ router.get("/me/transactions", authenticateJWT, requireRole("regular"), async (r
     return res.status(200).json({ count, results });
 });
 
-router.get("/:userId/suspicious", authenticateJWT, requireRole("manager"), async (req, res) => {
+router.delete("/me/transactions/:transactionId", authenticateJWT, requirePermission("points.redeem"), async (req, res) => {
+    const { transactionId } = req.params;
+
+    const txId = parseInt(transactionId, 10);
+    if (isNaN(txId)) {
+        return res.status(400).json({ error: "Invalid transaction ID" });
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+        where: { id: txId }
+    });
+
+    if (!transaction || transaction.ownerUserId !== req.auth.id) {
+        return res.status(404).json({ error: "Transaction not found" });
+    }
+
+    if (transaction.type !== "redemption") {
+        return res.status(400).json({ error: "Transaction is not a redemption" });
+    }
+
+    if (redemptionStatus(transaction) !== "pending") {
+        return res.status(400).json({ error: "Redemption is no longer pending" });
+    }
+
+    await withLedger((tx) => voidRedemption(tx, transaction, { cancelledAt: new Date() }));
+
+    return res.status(204).send();
+});
+
+router.delete("/:userId/lockout", authenticateJWT, requirePermission("logins.unlock"), async (req, res) => {
+    const { userId } = req.params;
+
+    const targetUserId = parseInt(userId, 10);
+    if (isNaN(targetUserId)) {
+        return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { id: targetUserId }
+    });
+
+    if (!user) {
+        return res.status(404).json({ error: "User not found" });
+    }
+
+    await clearThrottle(`login:utorid:${user.utorid}`);
+
+    return res.status(204).send();
+});
+
+router.get("/:userId/suspicious", authenticateJWT, requirePermission("users.flag"), async (req, res) => {
     const { userId } = req.params;
     
     const targetUserId = parseInt(userId, 10);
@@ -0,0 +1,26 @@
+'use strict';
+
+// require all dependencies
+const crypto = require("crypto");
+
+// what a point-of-sale terminal can be allowed to do
+const SCOPES = [
+    "purchase:create",
+    "adjustment:create",
+    "redemption:process",
+    "user:read",
+    "user:create"
+];
+
+// a new plaintext key, only its hash is stored and the prefix identifies it in listings
+const generateApiKey = () => {
+    const key = `p2w_${crypto.randomBytes(24).toString("hex")}`;
+    return { key, prefix: key.slice(0, 12) };
+};
+
+// scopes are stored as a space separated string
+const parseScopes = (scopes) => scopes.split(" ").filter(scope => scope.length > 0);
+
+const formatScopes = (scopes) => [...new Set(scopes)].join(" ");
+
+module.exports = {SCOPES, generateApiKey, parseScopes, formatScopes};
@@ -0,0 +1,54 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+
+// dates are stored as ISO strings so diffs compare and serialize cleanly
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// keep only the fields that changed between two snapshots
+const diffSnapshots = (before, after) => {
+    if (!before || !after) {
+        return { before: before || null, after: after || null };
+    }
+
+    const changedBefore = {};
+    const changedAfter = {};
+
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const oldValue = normalize(before[key]);
+        const newValue = normalize(after[key]);
+
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changedBefore[key] = oldValue === undefined ? null : oldValue;
+            changedAfter[key] = newValue === undefined ? null : newValue;
+        }
+    }
+
+    return { before: changedBefore, after: changedAfter };
+};
+
+// the fields of a record that an update touches, as they were before it
+const pickFields = (record, fields) => {
+    return Object.fromEntries(Object.keys(fields).map(key => [key, record[key]]));
+};
+
+// append an entry to the audit log, entries are never updated or deleted
+const recordAudit = async ({ actorId, apiKeyId, action, targetType, targetId, before, after, ip }) => {
+    const changes = diffSnapshots(before, after);
+
+    return prisma.auditLog.create({
+        data: {
+            actorId: actorId || null,
+            apiKeyId: apiKeyId || null,
+            action,
+            targetType,
+            targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+            before: changes.before ? JSON.stringify(changes.before) : null,
+            after: changes.after ? JSON.stringify(changes.after) : null,
+            ip: ip || null
+        }
+    });
+};
+
+module.exports = {diffSnapshots, pickFields, recordAudit};
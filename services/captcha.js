@@ -0,0 +1,66 @@
+'use strict';
+
+// siteverify endpoints of the supported providers, they all share the same request format
+const VERIFY_URLS = {
+    hcaptcha: "https://api.hcaptcha.com/siteverify",
+    recaptcha: "https://www.google.com/recaptcha/api/siteverify",
+    turnstile: "https://challenges.cloudflare.com/turnstile/v0/siteverify"
+};
+
+// the stub accepts CAPTCHA_STUB_TOKEN so sign-up can be exercised locally without a provider,
+// it is the default outside production and never allowed in it
+const production = process.env.NODE_ENV === "production";
+const provider = process.env.CAPTCHA_PROVIDER || (production ? null : "stub");
+
+// refuse to start with a configuration that would let sign-ups through unchecked
+const checkCaptchaConfig = () => {
+    if (!provider) {
+        throw new Error("CAPTCHA_PROVIDER must be set in production");
+    }
+
+    if (provider === "stub") {
+        if (production) {
+            throw new Error("The stub CAPTCHA provider cannot be used in production");
+        }
+        return;
+    }
+
+    if (!VERIFY_URLS[provider]) {
+        throw new Error(`Unknown CAPTCHA provider ${provider}`);
+    }
+
+    if (!process.env.CAPTCHA_SECRET) {
+        throw new Error(`CAPTCHA_SECRET must be set for the ${provider} CAPTCHA provider`);
+    }
+};
+
+checkCaptchaConfig();
+
+// check a CAPTCHA response token with the configured provider
+const verifyCaptcha = async (token, ip) => {
+    if (!token || typeof token !== 'string') {
+        return false;
+    }
+
+    if (provider === "stub") {
+        return token === (process.env.CAPTCHA_STUB_TOKEN || "pass");
+    }
+
+    const response = await fetch(VERIFY_URLS[provider], {
+        method: "POST",
+        body: new URLSearchParams({
+            secret: process.env.CAPTCHA_SECRET,
+            response: token,
+            remoteip: ip
+        })
+    });
+
+    if (!response.ok) {
+        return false;
+    }
+
+    const result = await response.json();
+    return result.success === true;
+};
+
+module.exports = {verifyCaptcha};
@@ -0,0 +1,242 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+const {getSetting} = require("./settings");
+const {ruleContext, promotionRulesMet} = require("./promotionRules");
+const {remainingBudget, limitError, usageCounts} = require("./promotionLimits");
+
+// points earned on a purchase before any promotion, rate is dollars spent per point and
+// multiplier is the earning multiplier of the buyer's membership tier
+const basePoints = (spent, rate, multiplier = 1) => Math.round(spent / rate * multiplier);
+
+// bonus points a promotion adds to a purchase, nothing when its minimum spending is not met
+const promotionBonus = (promotion, spent) => {
+    if (promotion.minSpending && spent < promotion.minSpending) {
+        return 0;
+    }
+
+    let bonus = 0;
+    if (promotion.rate) {
+        bonus += Math.round(spent / promotion.rate);
+    }
+    if (promotion.points) {
+        bonus += promotion.points;
+    }
+    return bonus;
+};
+
+// total points a purchase earns with the given promotions applied, bonusCap limits their combined bonus (0 for none)
+const purchasePoints = (spent, promotions, rate, multiplier = 1, bonusCap = 0) => {
+    const bonus = promotions.reduce((total, promotion) => total + promotionBonus(promotion, spent), 0);
+    return basePoints(spent, rate, multiplier) + (bonusCap > 0 ? Math.min(bonus, bonusCap) : bonus);
+};
+
+// choose which candidate promotions a purchase gets: highest priority first, ties broken by id, an
+// exclusive promotion only applies alone, at most maxStack apply (0 for no limit), their combined
+// bonus stops at bonusCap (0 for no cap) and no promotion awards more than is left of its budget;
+// returns the applied promotions and why the others were skipped
+const selectPromotions = (candidates, spent, { maxStack, bonusCap }) => {
+    const ordered = [...candidates].sort((a, b) => b.priority - a.priority || a.id - b.id);
+    const applied = [];
+    const skipped = [];
+    let bonusLeft = bonusCap > 0 ? bonusCap : Infinity;
+
+    const skip = (promotion, reason) => skipped.push({ promotionId: promotion.id, name: promotion.name, reason });
+
+    for (const promotion of ordered) {
+        const exclusive = applied.find(entry => entry.promotion.exclusive);
+
+        if (applied.some(entry => entry.promotion.id === promotion.id)) {
+            skip(promotion, "Promotion was requested more than once");
+        } else if (exclusive) {
+            skip(promotion, `Promotion ${exclusive.promotion.id} is exclusive and cannot be combined`);
+        } else if (promotion.exclusive && applied.length > 0) {
+            skip(promotion, "Exclusive promotion cannot be combined with higher priority promotions");
+        } else if (maxStack > 0 && applied.length >= maxStack) {
+            skip(promotion, `At most ${maxStack} promotion(s) can be combined`);
+        } else if (bonusLeft <= 0) {
+            skip(promotion, "Bonus points cap for the transaction has been reached");
+        } else {
+            const bonus = Math.min(promotionBonus(promotion, spent), bonusLeft, remainingBudget(promotion));
+            bonusLeft -= bonus;
+            applied.push({ promotion, bonus });
+        }
+    }
+
+    return { applied, skipped };
+};
+
+// why a requested one-time promotion cannot be applied to a purchase, null when it can
+const onetimePromotionError = (promotion, promoId, spent, now, context) => {
+    if (!promotion) {
+        return `Promotion ${promoId} not found`;
+    }
+
+    if (promotion.type !== "onetime") {
+        return `Promotion ${promoId} is not a one-time promotion`;
+    }
+
+    if (promotion.startTime > now || promotion.endTime < now) {
+        return `Promotion ${promoId} is not active`;
+    }
+
+    // a per-user limit replaces the once per user rule, PromotionUsage counts the uses
+    if (promotion.perUserLimit === null && promotion.usedBy.length > 0) {
+        return `Promotion ${promoId} has already been used`;
+    }
+
+    if (promotion.minSpending && spent < promotion.minSpending) {
+        return `Minimum spending not met for promotion ${promoId}`;
+    }
+
+    if (!promotionRulesMet(promotion, context)) {
+        return `Conditions not met for promotion ${promoId}`;
+    }
+
+    return null;
+};
+
+// the active one-time promotions a user can still use, whose conditions they currently meet and
+// whose budget and usage limits are not exhausted; promotions handed out as promo codes are left out
+const availablePromotions = async (user, tier, now = new Date()) => {
+    const promotions = await prisma.promotion.findMany({
+        where: {
+            type: "onetime",
+            startTime: { lte: now },
+            endTime: { gte: now },
+            OR: [
+                { perUserLimit: { not: null } },
+                {
+                    NOT: {
+                        usedBy: {
+                            some: {
+                                id: user.id
+                            }
+                        }
+                    }
+                }
+            ],
+            codeOnly: false
+        },
+        select: {
+            id: true,
+            name: true,
+            minSpending: true,
+            rate: true,
+            points: true,
+            rules: true,
+            budget: true,
+            pointsAwarded: true,
+            maxRedemptions: true,
+            redemptionCount: true,
+            perUserLimit: true
+        }
+    });
+
+    const context = await ruleContext({ user, tier, now });
+    const used = await usageCounts(user.id, promotions.map(promotion => promotion.id));
+
+    return promotions
+        .filter(promotion => promotionRulesMet(promotion, context))
+        .filter(promotion => limitError(promotion, used.get(promotion.id) || 0) === null)
+        .map(({ id, name, minSpending, rate, points }) => ({ id, name, minSpending, rate, points }));
+};
+
+// work out what a purchase earns without writing anything: the base points scaled by the user's tier plus
+// the promotions selected from the active automatic ones whose conditions the purchase meets and the
+// requested one-time ones, a requested promotion that cannot apply at all is reported in errors;
+// promoCode is a resolved code whose promotion is requested along with the others
+const evaluatePurchase = async ({ user, spent, promotionIds = [], promoCode = null, now = new Date() }) => {
+    const rate = await getSetting("earningRate");
+    const tier = user.tierId
+        ? await prisma.tier.findUnique({ where: { id: user.tierId } })
+        : null;
+    const multiplier = tier ? tier.multiplier : 1;
+    const base = basePoints(spent, rate, multiplier);
+
+    const automaticPromotions = await prisma.promotion.findMany({
+        where: {
+            type: "automatic",
+            startTime: { lte: now },
+            endTime: { gte: now },
+            OR: [
+                { minSpending: null },
+                { minSpending: { lte: spent } }
+            ]
+        }
+    });
+
+    const context = await ruleContext({ user, tier, now });
+
+    const candidates = [];
+    const skipped = [];
+    const errors = [];
+
+    for (const promotion of automaticPromotions) {
+        if (promotionRulesMet(promotion, context)) {
+            candidates.push(promotion);
+        } else {
+            skipped.push({ promotionId: promotion.id, name: promotion.name, reason: "Conditions not met" });
+        }
+    }
+
+    const codePromotionId = promoCode ? promoCode.promotionId : null;
+    const requestedIds = codePromotionId !== null && !promotionIds.includes(codePromotionId)
+        ? [...promotionIds, codePromotionId]
+        : promotionIds;
+
+    for (const promoId of requestedIds) {
+        const promotion = Number.isInteger(promoId)
+            ? await prisma.promotion.findUnique({
+                where: { id: promoId },
+                include: {
+                    usedBy: {
+                        where: { id: user.id }
+                    }
+                }
+            })
+            : null;
+
+        let error = onetimePromotionError(promotion, promoId, spent, now, context);
+        // a code-only promotion can only be had by entering one of its codes
+        if (!error && promotion.codeOnly && promoId !== codePromotionId) {
+            error = `Promotion ${promoId} requires a promo code`;
+        }
+        if (error) {
+            errors.push({ promotionId: promoId, error });
+            continue;
+        }
+
+        candidates.push(promotion);
+    }
+
+    // a promotion whose budget or usage limits are exhausted stops applying automatically,
+    // asking for such a one-time promotion is an error like any other unusable one
+    const used = await usageCounts(user.id, candidates.map(promotion => promotion.id));
+    const available = [];
+
+    for (const promotion of candidates) {
+        const error = limitError(promotion, used.get(promotion.id) || 0);
+
+        if (!error) {
+            available.push(promotion);
+        } else if (promotion.type === "onetime") {
+            errors.push({ promotionId: promotion.id, error });
+        } else {
+            skipped.push({ promotionId: promotion.id, name: promotion.name, reason: error });
+        }
+    }
+
+    const selection = selectPromotions(available, spent, {
+        maxStack: await getSetting("promotionMaxStack"),
+        bonusCap: await getSetting("promotionBonusCap")
+    });
+
+    const applied = selection.applied;
+    const earned = applied.reduce((total, entry) => total + entry.bonus, base);
+
+    return { rate, tier, multiplier, base, applied, skipped: [...selection.skipped, ...skipped], errors, earned };
+};
+
+module.exports = {basePoints, promotionBonus, purchasePoints, selectPromotions, availablePromotions, evaluatePurchase};
@@ -0,0 +1,129 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+const {withLedger, postTransaction} = require("./ledger");
+const {getSetting} = require("./settings");
+
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+};
+
+// credits that count towards the balance, suspicious transactions were never applied to it
+const creditWhere = (userId) => ({
+    ownerUserId: userId,
+    amount: { gt: 0 },
+    suspicious: false
+});
+
+// what is left of each credit, oldest first; spending is first-in first-out, so the
+// balance the user still owns belongs to the newest credits and older ones were used up first
+const remainingLots = async (user, client = prisma) => {
+    const credits = await client.transaction.findMany({
+        where: creditWhere(user.id),
+        select: { amount: true, createdAt: true },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+    });
+
+    let unassigned = user.points + user.pointsHeld;
+    const lots = [];
+
+    for (const credit of credits) {
+        if (unassigned <= 0) {
+            break;
+        }
+        const remaining = Math.min(credit.amount, unassigned);
+        lots.push({ earnedAt: credit.createdAt, remaining });
+        unassigned -= remaining;
+    }
+
+    return lots.reverse();
+};
+
+// points from lots earned before the cutoff, held points are committed to a redemption and never expire
+const pointsEarnedBefore = (lots, cutoff, available) => {
+    const total = lots
+        .filter(lot => lot.earnedAt < cutoff)
+        .reduce((sum, lot) => sum + lot.remaining, 0);
+    return Math.min(total, available);
+};
+
+// points that will expire within the warning window, for the user's profile
+const expirySummary = async (user) => {
+    const months = await getSetting("pointsExpiryMonths");
+    if (months === 0) {
+        return { points: 0, nextExpiry: null };
+    }
+
+    const warningDays = await getSetting("pointsExpiryWarningDays");
+    const horizon = new Date(Date.now() + warningDays * 24 * 60 * 60 * 1000);
+    const lots = await remainingLots(user);
+
+    const expiring = lots.filter(lot => addMonths(lot.earnedAt, months) <= horizon);
+
+    return {
+        points: pointsEarnedBefore(lots, addMonths(horizon, -months), user.points),
+        nextExpiry: expiring.length > 0 ? addMonths(expiring[0].earnedAt, months).toISOString() : null
+    };
+};
+
+// write an expiry entry for points a user earned before the cutoff, returns how many expired
+const expireUserPoints = async (userId, cutoff) => {
+    return withLedger(async (tx) => {
+        const user = await tx.user.findUnique({ where: { id: userId } });
+        const lots = await remainingLots(user, tx);
+        const expired = pointsEarnedBefore(lots, cutoff, user.points);
+
+        if (expired <= 0) {
+            return 0;
+        }
+
+        await postTransaction(tx, {
+            type: "expiry",
+            amount: -expired,
+            remark: `Points earned before ${cutoff.toISOString().split('T')[0]} expired`,
+            ownerUserId: user.id,
+            creatorUserId: user.id
+        });
+
+        return expired;
+    });
+};
+
+// expire points older than the configured policy for every user holding some, returns the total expired
+const expirePoints = async () => {
+    const months = await getSetting("pointsExpiryMonths");
+    if (months === 0) {
+        return 0;
+    }
+
+    const cutoff = addMonths(new Date(), -months);
+
+    const users = await prisma.user.findMany({
+        where: {
+            points: { gt: 0 },
+            transactionsOwned: {
+                some: { amount: { gt: 0 }, suspicious: false, createdAt: { lt: cutoff } }
+            }
+        },
+        select: { id: true }
+    });
+
+    let total = 0;
+    for (const user of users) {
+        try {
+            total += await expireUserPoints(user.id, cutoff);
+        } catch (err) {
+            // the balance moved while the job was running, the next run picks the user up again
+            if (err.name !== 'LedgerError') {
+                throw err;
+            }
+        }
+    }
+
+    return total;
+};
+
+module.exports = {remainingLots, expirySummary, expireUserPoints, expirePoints};
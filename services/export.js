@@ -0,0 +1,91 @@
+'use strict';
+
+// require all dependencies
+const {once} = require("events");
+
+const BATCH_SIZE = 500;
+
+const FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+    ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" }
+};
+
+// quote a CSV field when needed, text that a spreadsheet would run as a formula is prefixed with '
+const csvField = (value) => {
+    if (value === null || value === undefined) {
+        return "";
+    }
+
+    let text = Array.isArray(value) ? value.join(" ") : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+};
+
+const csvLine = (values) => `${values.map(csvField).join(",")}\r\n`;
+
+// why the requested export format is not supported, null when it is
+const exportFormatError = (format) => {
+    return Object.hasOwn(FORMATS, format) ? null : `format must be one of ${Object.keys(FORMATS).join(", ")}`;
+};
+
+// stream every row matching a query as CSV or NDJSON, reading it in id order a batch at a time;
+// fetchBatch receives the pagination arguments for findMany, toRecord turns a row into a flat object
+const streamExport = async (res, { format, filename, columns, fetchBatch, toRecord }) => {
+    const { contentType, extension } = FORMATS[format];
+    const date = new Date().toISOString().split('T')[0];
+
+    res.status(200);
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="${filename}-${date}.${extension}"`);
+
+    const write = async (chunk) => {
+        if (!res.write(chunk)) {
+            await Promise.race([once(res, "drain"), once(res, "close")]);
+        }
+    };
+
+    try {
+        if (format === "csv") {
+            await write(csvLine(columns));
+        }
+
+        let cursor = null;
+
+        while (!res.destroyed) {
+            const batch = await fetchBatch({
+                take: BATCH_SIZE,
+                orderBy: { id: 'asc' },
+                ...(cursor !== null ? { cursor: { id: cursor }, skip: 1 } : {})
+            });
+
+            for (const row of batch) {
+                const record = toRecord(row);
+                await write(format === "csv"
+                    ? csvLine(columns.map(column => record[column]))
+                    : `${JSON.stringify(record)}\n`);
+            }
+
+            if (batch.length < BATCH_SIZE) {
+                break;
+            }
+
+            cursor = batch[batch.length - 1].id;
+        }
+
+        res.end();
+    } catch (err) {
+        // the status line is already sent, so the only way to signal failure is to cut the stream
+        console.error(`cannot finish ${filename} export: ${err.message}`);
+        res.destroy(err);
+    }
+};
+
+module.exports = {csvLine, exportFormatError, streamExport};
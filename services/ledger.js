@@ -0,0 +1,103 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+
+// error raised when a ledger operation cannot be applied; rolls back the surrounding transaction
+class LedgerError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "LedgerError";
+        this.status = status;
+    }
+}
+
+// run ledger operations atomically, callers receive the transaction client;
+// options are passed on to prisma, e.g. a longer timeout for a large batch
+const withLedger = (fn, options) => prisma.$transaction(fn, options);
+
+// move a user's balance by delta, refusing to let it drop below zero
+const applyBalance = async (tx, userId, delta) => {
+    if (delta === 0) {
+        return;
+    }
+
+    const where = { id: userId };
+    if (delta < 0) {
+        where.points = { gte: -delta };
+    }
+
+    const { count } = await tx.user.updateMany({
+        where,
+        data: { points: { increment: delta } }
+    });
+
+    if (count === 0) {
+        throw new LedgerError("Insufficient points");
+    }
+};
+
+// reserve points for a pending redemption, moving them from the available balance to the held balance
+const holdPoints = async (tx, userId, amount) => {
+    const { count } = await tx.user.updateMany({
+        where: { id: userId, points: { gte: amount } },
+        data: {
+            points: { decrement: amount },
+            pointsHeld: { increment: amount }
+        }
+    });
+
+    if (count === 0) {
+        throw new LedgerError("Insufficient points");
+    }
+};
+
+// return held points to the available balance when a redemption does not go through
+const releaseHold = async (tx, userId, amount) => {
+    const { count } = await tx.user.updateMany({
+        where: { id: userId, pointsHeld: { gte: amount } },
+        data: {
+            points: { increment: amount },
+            pointsHeld: { decrement: amount }
+        }
+    });
+
+    if (count === 0) {
+        throw new LedgerError("Held points out of sync", 409);
+    }
+};
+
+// consume held points once a redemption has been processed
+const settleHold = async (tx, userId, amount) => {
+    const { count } = await tx.user.updateMany({
+        where: { id: userId, pointsHeld: { gte: amount } },
+        data: { pointsHeld: { decrement: amount } }
+    });
+
+    if (count === 0) {
+        throw new LedgerError("Held points out of sync", 409);
+    }
+};
+
+// insert a ledger row and move the owner's balance by the same amount
+const postTransaction = async (tx, data, delta = data.amount) => {
+    const transaction = await tx.transaction.create({ data });
+    await applyBalance(tx, data.ownerUserId, delta);
+    return transaction;
+};
+
+// draw awarded points from an event's budget, refusing to exceed pointsTotal
+const drawEventPoints = async (tx, eventId, amount) => {
+    const event = await tx.event.update({
+        where: { id: eventId },
+        data: { pointsAwarded: { increment: amount } }
+    });
+
+    if (event.pointsAwarded > event.pointsTotal) {
+        throw new LedgerError("Insufficient points remaining");
+    }
+
+    return event;
+};
+
+module.exports = {LedgerError, withLedger, applyBalance, holdPoints, releaseHold, settleHold, postTransaction, drawEventPoints};
@@ -0,0 +1,70 @@
+'use strict';
+
+// require all dependencies
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const templateDir = path.join(__dirname, "..", "templates");
+const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+
+// defaults point at a local SMTP catcher such as MailHog or Mailpit
+const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+});
+
+// tokens are only echoed in API responses outside production unless EXPOSE_TOKENS says otherwise
+const exposeTokens = process.env.EXPOSE_TOKENS !== undefined
+    ? process.env.EXPOSE_TOKENS === "true"
+    : process.env.NODE_ENV !== "production";
+
+// fill a template's {{placeholders}}, the first line holds the subject
+const renderTemplate = (name, values) => {
+    const source = fs.readFileSync(path.join(templateDir, `${name}.txt`), "utf8");
+    const rendered = source.replace(/{{(\w+)}}/g, (match, key) => (key in values ? String(values[key]) : match));
+    const [subjectLine, ...body] = rendered.split("\n");
+
+    return {
+        subject: subjectLine.replace(/^Subject:\s*/, ""),
+        text: body.join("\n").trim()
+    };
+};
+
+const sendTemplate = async (to, name, values) => {
+    const { subject, text } = renderTemplate(name, values);
+    return transport.sendMail({
+        from: process.env.MAIL_FROM || "Pay2Win <no-reply@pay2win.local>",
+        to,
+        subject,
+        text
+    });
+};
+
+// activation email for an account created by a cashier
+const sendActivationEmail = (user, token, expiresAt) => sendTemplate(user.email, "activation", {
+    name: user.name,
+    utorid: user.utorid,
+    link: `${frontendUrl}/activate/${token}`,
+    expiresAt: expiresAt.toUTCString()
+});
+
+// password reset email
+const sendResetEmail = (user, token, expiresAt) => sendTemplate(user.email, "reset", {
+    name: user.name,
+    utorid: user.utorid,
+    link: `${frontendUrl}/reset/${token}`,
+    expiresAt: expiresAt.toUTCString()
+});
+
+// email confirmation for a self-service sign-up
+const sendVerificationEmail = (user, token, expiresAt) => sendTemplate(user.email, "verification", {
+    name: user.name,
+    utorid: user.utorid,
+    link: `${frontendUrl}/verify/${token}`,
+    expiresAt: expiresAt.toUTCString()
+});
+
+module.exports = {exposeTokens, renderTemplate, sendActivationEmail, sendResetEmail, sendVerificationEmail};
@@ -0,0 +1,165 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+
+const ROLES = ["regular", "cashier", "manager", "superuser"];
+
+// every named permission a role can be granted
+const PERMISSIONS = {
+    "account.manage": "View and edit your own profile, password, two-factor settings and sessions",
+    "users.lookup": "Look up other users by UTORid",
+    "users.create": "Register new users",
+    "users.import": "Register users in bulk from a CSV file",
+    "users.view": "View a user's points and available promotions",
+    "users.list": "List users and view their full details",
+    "users.edit": "Change a user's email",
+    "users.verify": "Mark users as verified",
+    "users.flag": "Mark users as suspicious and review flagged users",
+    "users.promote": "Make users regular users or cashiers",
+    "users.promote.any": "Give users any role, including manager and superuser",
+    "logins.view": "View the login attempt log",
+    "logins.unlock": "Clear login lockouts",
+    "points.redeem": "Request and cancel redemptions of your own points",
+    "points.transfer": "Transfer your own points to other users",
+    "transactions.purchase": "Record purchases and quote the points they earn",
+    "transactions.process": "Process redemption requests",
+    "transactions.adjust": "Create adjustment transactions",
+    "transactions.view": "List and view all transactions",
+    "transactions.flag": "Mark transactions as suspicious",
+    "transactions.refund": "Refund purchases",
+    "events.view": "View published events",
+    "events.attend": "RSVP to events",
+    "events.organize": "Edit, manage guests of and award points for events you organize",
+    "events.create": "Create events",
+    "events.manage": "Edit, delete and award points for any event and manage its organizers and guests",
+    "events.publish": "Publish events",
+    "promotions.view": "View active promotions",
+    "promotions.manage": "Create, edit and delete promotions and view inactive ones",
+    "rewards.view": "View available rewards",
+    "rewards.manage": "Create, edit and delete rewards and view unavailable ones",
+    "tiers.view": "View membership tiers",
+    "tiers.manage": "Create, edit and delete membership tiers",
+    "apikeys.manage": "Issue and revoke point-of-sale API keys",
+    "settings.manage": "Change runtime settings",
+    "roles.manage": "Change the permissions granted to each role",
+    "audit.view": "Search the audit log"
+};
+
+// permissions of each role until a superuser changes them, every role includes the one below it
+const regularPermissions = [
+    "account.manage",
+    "users.lookup",
+    "points.redeem",
+    "points.transfer",
+    "events.view",
+    "events.attend",
+    "events.organize",
+    "promotions.view",
+    "rewards.view",
+    "tiers.view"
+];
+
+const cashierPermissions = [
+    ...regularPermissions,
+    "users.create",
+    "users.view",
+    "transactions.purchase",
+    "transactions.process"
+];
+
+const managerPermissions = [
+    ...cashierPermissions,
+    "users.import",
+    "users.list",
+    "users.edit",
+    "users.verify",
+    "users.flag",
+    "users.promote",
+    "logins.view",
+    "logins.unlock",
+    "transactions.adjust",
+    "transactions.view",
+    "transactions.flag",
+    "transactions.refund",
+    "events.create",
+    "events.manage",
+    "events.publish",
+    "promotions.manage",
+    "rewards.manage",
+    "tiers.manage",
+    "apikeys.manage"
+];
+
+const DEFAULT_PERMISSIONS = {
+    regular: regularPermissions,
+    cashier: cashierPermissions,
+    manager: managerPermissions,
+    superuser: Object.keys(PERMISSIONS)
+};
+
+// stored permission sets, loaded on first use and kept in sync by setRolePermissions
+let cache = null;
+
+const loadPermissions = async () => {
+    const rows = await prisma.rolePermission.findMany();
+    cache = new Map(rows.map(row => [row.role, row]));
+    return cache;
+};
+
+// permissions are stored as a space separated string
+const parsePermissions = (permissions) => permissions.split(" ").filter(permission => permission.length > 0);
+
+// the permissions a role currently holds
+const permissionsFor = async (role) => {
+    const rows = cache || await loadPermissions();
+    const row = rows.get(role);
+    return new Set(row ? parsePermissions(row.permissions) : DEFAULT_PERMISSIONS[role] || []);
+};
+
+// every role with its permissions, for the roles API
+const listRolePermissions = async () => {
+    const rows = cache || await loadPermissions();
+
+    return ROLES.map(role => {
+        const row = rows.get(role);
+        return {
+            role,
+            permissions: row ? parsePermissions(row.permissions) : DEFAULT_PERMISSIONS[role],
+            custom: row !== undefined,
+            updatedAt: row ? row.updatedAt.toISOString() : null
+        };
+    });
+};
+
+// why a permission list cannot be granted, null when it can
+const validatePermissions = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        return "permissions must be an array";
+    }
+
+    const unknown = permissions.find(permission => !Object.prototype.hasOwnProperty.call(PERMISSIONS, permission));
+    if (unknown !== undefined) {
+        return `Unknown permission ${unknown}`;
+    }
+
+    return null;
+};
+
+// replace a role's permissions, null restores the defaults
+const setRolePermissions = async (role, permissions, userId) => {
+    if (permissions === null) {
+        await prisma.rolePermission.deleteMany({ where: { role } });
+    } else {
+        const serialized = [...new Set(permissions)].join(" ");
+        await prisma.rolePermission.upsert({
+            where: { role },
+            create: { role, permissions: serialized, updatedById: userId },
+            update: { permissions: serialized, updatedById: userId }
+        });
+    }
+
+    cache = null;
+};
+
+module.exports = {ROLES, PERMISSIONS, DEFAULT_PERMISSIONS, permissionsFor, listRolePermissions, validatePermissions, setRolePermissions};
@@ -0,0 +1,168 @@
+'use strict';
+
+// require all dependencies
+const crypto = require("crypto");
+const prisma = require("../prisma/db");
+const {LedgerError} = require("./ledger");
+const {getSetting} = require("./settings");
+const {lockedUntil, recordFailure} = require("./throttle");
+
+// no 0/O or 1/I so codes survive being read out loud or copied from a receipt
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+const MAX_CODES = 1000;
+
+const prefixRegex = /^[A-Z0-9]{1,12}$/;
+
+// codes are compared without case and surrounding whitespace
+const normalizeCode = (code) => code.trim().toUpperCase();
+
+const randomCode = (prefix) => {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const random = Array.from(bytes, byte => ALPHABET[byte % ALPHABET.length]).join("");
+    return prefix ? `${prefix}-${random}` : random;
+};
+
+// why a bulk generation request is invalid, null when it is valid
+const codeRequestError = (prefix, count, maxUses) => {
+    if (prefix !== undefined && prefix !== null && (typeof prefix !== 'string' || !prefixRegex.test(normalizeCode(prefix)))) {
+        return "prefix must be 1 to 12 letters or digits";
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CODES) {
+        return `count must be an integer from 1 to ${MAX_CODES}`;
+    }
+
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+        return "maxUses must be a positive integer or null for unlimited uses";
+    }
+
+    return null;
+};
+
+// create count new codes for a promotion, each usable maxUses times (null for unlimited)
+const generatePromoCodes = async (promotionId, prefix, count, maxUses) => {
+    const normalized = prefix ? normalizeCode(prefix) : null;
+    const codes = new Set();
+
+    // collisions are vanishingly rare, draw again until every code is new
+    while (codes.size < count) {
+        const drawn = Array.from({ length: count - codes.size }, () => randomCode(normalized))
+            .filter(code => !codes.has(code));
+        const taken = await prisma.promoCode.findMany({
+            where: { code: { in: drawn } },
+            select: { code: true }
+        });
+        const takenCodes = new Set(taken.map(row => row.code));
+
+        for (const code of drawn) {
+            if (!takenCodes.has(code)) {
+                codes.add(code);
+            }
+        }
+    }
+
+    await prisma.promoCode.createMany({
+        data: [...codes].map(code => ({ code, promotionId, maxUses }))
+    });
+
+    return prisma.promoCode.findMany({
+        where: { code: { in: [...codes] } },
+        orderBy: { id: 'asc' }
+    });
+};
+
+// failed guesses are counted against the customer the code is entered for and, separately, against
+// the IP it comes from, so switching customers does not buy a caller fresh attempts
+const throttleKeys = (ip, utorid) => ({
+    utorid: `promo:utorid:${utorid}`,
+    ip: `promo:ip:${ip}`
+});
+
+const guessPolicies = async () => {
+    const baseSeconds = await getSetting("promoCodeLockoutBaseSeconds");
+    const maxSeconds = await getSetting("promoCodeLockoutMaxSeconds");
+    return {
+        utorid: { freeAttempts: await getSetting("promoCodeFreeAttempts"), baseSeconds, maxSeconds },
+        ip: { freeAttempts: await getSetting("promoCodeIpFreeAttempts"), baseSeconds, maxSeconds }
+    };
+};
+
+// look a code up for checkout for the customer with the given utorid: { promoCode } when it can be used,
+// otherwise { status, error } and, when the customer or IP is locked out after too many wrong codes, lockedUntil.
+// Used up codes count as wrong guesses so they cannot be enumerated either. A successful lookup does
+// not clear the failures, otherwise a known code could be interleaved with guesses to keep the counter down
+const resolvePromoCode = async (code, ip, utorid) => {
+    if (typeof code !== 'string' || code.trim().length === 0) {
+        return { status: 400, error: "promoCode must be a non-empty string" };
+    }
+
+    const keys = throttleKeys(ip, utorid);
+    const locked = async () => {
+        const lockedAt = await lockedUntil([keys.utorid, keys.ip]);
+        return lockedAt
+            ? { status: 429, error: "Too many invalid promo codes, try again later", lockedUntil: lockedAt }
+            : null;
+    };
+
+    const before = await locked();
+    if (before) {
+        return before;
+    }
+
+    const promoCode = await prisma.promoCode.findUnique({
+        where: { code: normalizeCode(code) }
+    });
+
+    const guessFailed = async () => {
+        const policies = await guessPolicies();
+        await recordFailure(keys.utorid, policies.utorid);
+        await recordFailure(keys.ip, policies.ip);
+    };
+
+    if (!promoCode) {
+        await guessFailed();
+        return { status: 404, error: "Promo code not found" };
+    }
+
+    // a burst of guesses all pass the first check, so a hit is only accepted if the
+    // failures recorded by the rest of the burst have not locked the caller out meanwhile
+    const after = await locked();
+    if (after) {
+        return after;
+    }
+
+    if (promoCode.maxUses !== null && promoCode.uses >= promoCode.maxUses) {
+        await guessFailed();
+        return { status: 400, error: "Promo code has already been used" };
+    }
+
+    return { promoCode };
+};
+
+// count a use of a code inside the purchase's ledger transaction, refusing once it is used up
+const consumePromoCode = async (tx, promoCode) => {
+    const where = { id: promoCode.id };
+    if (promoCode.maxUses !== null) {
+        where.uses = { lt: promoCode.maxUses };
+    }
+
+    const { count } = await tx.promoCode.updateMany({
+        where,
+        data: { uses: { increment: 1 } }
+    });
+
+    if (count === 0) {
+        throw new LedgerError("Promo code has already been used", 409);
+    }
+};
+
+const formatPromoCode = (promoCode) => ({
+    id: promoCode.id,
+    code: promoCode.code,
+    maxUses: promoCode.maxUses,
+    uses: promoCode.uses,
+    createdAt: promoCode.createdAt.toISOString()
+});
+
+module.exports = {normalizeCode, codeRequestError, generatePromoCodes, resolvePromoCode, consumePromoCode, formatPromoCode};
@@ -0,0 +1,95 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+const {LedgerError} = require("./ledger");
+
+// bonus points a promotion can still award, Infinity when it has no budget
+const remainingBudget = (promotion) => {
+    return promotion.budget !== null ? Math.max(promotion.budget - promotion.pointsAwarded, 0) : Infinity;
+};
+
+// why a promotion's budget or usage limits keep it from applying, null when they do not;
+// used is how many times the user has already had it
+const limitError = (promotion, used) => {
+    if (remainingBudget(promotion) <= 0) {
+        return `Promotion ${promotion.id} budget is exhausted`;
+    }
+
+    if (promotion.maxRedemptions !== null && promotion.redemptionCount >= promotion.maxRedemptions) {
+        return `Promotion ${promotion.id} has reached its maximum number of uses`;
+    }
+
+    if (promotion.perUserLimit !== null && used >= promotion.perUserLimit) {
+        return `Promotion ${promotion.id} can only be used ${promotion.perUserLimit} time(s) per user`;
+    }
+
+    return null;
+};
+
+// how many times a user has had each of the given promotions, by promotion id
+const usageCounts = async (userId, promotionIds) => {
+    const rows = await prisma.promotionUsage.findMany({
+        where: { userId, promotionId: { in: promotionIds } }
+    });
+    return new Map(rows.map(row => [row.promotionId, row.count]));
+};
+
+// how many times one user may have a promotion, null when there is no limit;
+// one-time promotions without a per-user limit can be used once
+const userLimit = (promotion) => {
+    if (promotion.perUserLimit !== null) {
+        return promotion.perUserLimit;
+    }
+    return promotion.type === "onetime" ? 1 : null;
+};
+
+// record the promotions applied to a purchase inside its ledger transaction; every limit is
+// re-checked against the stored counters so concurrent purchases cannot overspend a promotion.
+// Budgets count what was granted, refunds do not return points or uses to a promotion's totals
+const consumePromotions = async (tx, userId, applied) => {
+    for (const { promotion, bonus } of applied) {
+        const where = { id: promotion.id };
+
+        if (promotion.budget !== null) {
+            where.pointsAwarded = { lte: promotion.budget - bonus };
+        }
+
+        if (promotion.maxRedemptions !== null) {
+            where.redemptionCount = { lt: promotion.maxRedemptions };
+        }
+
+        const { count } = await tx.promotion.updateMany({
+            where,
+            data: {
+                pointsAwarded: { increment: bonus },
+                redemptionCount: { increment: 1 }
+            }
+        });
+
+        if (count === 0) {
+            throw new LedgerError(`Promotion ${promotion.id} is no longer available`, 409);
+        }
+
+        const usage = await tx.promotionUsage.upsert({
+            where: { promotionId_userId: { promotionId: promotion.id, userId } },
+            create: { promotionId: promotion.id, userId, count: 1 },
+            update: { count: { increment: 1 } }
+        });
+
+        const limit = userLimit(promotion);
+        if (limit !== null && usage.count > limit) {
+            throw new LedgerError(`Promotion ${promotion.id} is no longer available`, 409);
+        }
+    }
+};
+
+// give a user back their uses of the promotions applied to a fully refunded purchase
+const releasePromotionUsage = async (tx, userId, promotionIds) => {
+    await tx.promotionUsage.updateMany({
+        where: { userId, promotionId: { in: promotionIds }, count: { gt: 0 } },
+        data: { count: { decrement: 1 } }
+    });
+};
+
+module.exports = {remainingBudget, limitError, usageCounts, consumePromotions, releasePromotionUsage};
@@ -0,0 +1,134 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+const {ROLES} = require("./permissions");
+
+// nesting deeper than this is rejected, no sensible promotion needs it
+const MAX_DEPTH = 8;
+
+const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const minutesOf = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const nonEmptyArray = (value, check) => Array.isArray(value) && value.length > 0 && value.every(check);
+
+// why one condition of a rule document is invalid, null when it is valid
+const conditionError = (name, value, path, depth) => {
+    switch (name) {
+        case "all":
+        case "any":
+            if (!Array.isArray(value) || value.length === 0) {
+                return `${path} must be a non-empty array of rules`;
+            }
+            for (let i = 0; i < value.length; i++) {
+                const error = ruleError(value[i], `${path}[${i}]`, depth + 1);
+                if (error) {
+                    return error;
+                }
+            }
+            return null;
+        case "not":
+            return ruleError(value, path, depth + 1);
+        case "daysOfWeek":
+            return nonEmptyArray(value, day => Number.isInteger(day) && day >= 0 && day <= 6)
+                ? null
+                : `${path} must be a non-empty array of days from 0 (Sunday) to 6 (Saturday)`;
+        case "timeOfDay":
+            if (!isPlainObject(value) || !timeRegex.test(value.from) || !timeRegex.test(value.to)) {
+                return `${path} must have from and to times formatted as HH:MM`;
+            }
+            return value.from === value.to ? `${path} from and to must differ` : null;
+        case "tiers":
+            return nonEmptyArray(value, Number.isInteger)
+                ? null
+                : `${path} must be a non-empty array of tier IDs`;
+        case "roles":
+            return nonEmptyArray(value, role => ROLES.includes(role))
+                ? null
+                : `${path} must be a non-empty array of roles from ${ROLES.join(", ")}`;
+        case "firstPurchase":
+        case "birthdayMonth":
+            return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+        case "minPriorPurchases":
+            return Number.isInteger(value) && value >= 0 ? null : `${path} must be a non-negative integer`;
+        default:
+            return `${path} has unknown condition ${name}`;
+    }
+};
+
+// why a rule is invalid, null when it is valid; every rule is an object holding exactly one condition
+const ruleError = (rule, path = "rules", depth = 0) => {
+    if (depth > MAX_DEPTH) {
+        return `rules cannot be nested more than ${MAX_DEPTH} levels deep`;
+    }
+
+    if (!isPlainObject(rule) || Object.keys(rule).length !== 1) {
+        return `${path} must be an object with exactly one condition`;
+    }
+
+    const [name] = Object.keys(rule);
+    return conditionError(name, rule[name], `${path}.${name}`, depth);
+};
+
+// what the conditions are checked against, times use the server's time zone
+const ruleContext = async ({ user, tier, now = new Date() }) => ({
+    now,
+    role: user.role,
+    tierId: tier ? tier.id : null,
+    birthday: user.birthday,
+    priorPurchases: await prisma.transaction.count({
+        where: { ownerUserId: user.id, type: "purchase", suspicious: false }
+    })
+});
+
+// whether a rule holds in a context
+const matchesRule = (rule, context) => {
+    const [name] = Object.keys(rule);
+    const value = rule[name];
+
+    switch (name) {
+        case "all":
+            return value.every(child => matchesRule(child, context));
+        case "any":
+            return value.some(child => matchesRule(child, context));
+        case "not":
+            return !matchesRule(value, context);
+        case "daysOfWeek":
+            return value.includes(context.now.getDay());
+        case "timeOfDay": {
+            const minute = context.now.getHours() * 60 + context.now.getMinutes();
+            const from = minutesOf(value.from);
+            const to = minutesOf(value.to);
+            // a window whose end is before its start runs past midnight
+            return from < to ? minute >= from && minute < to : minute >= from || minute < to;
+        }
+        case "tiers":
+            return value.includes(context.tierId);
+        case "roles":
+            return value.includes(context.role);
+        case "firstPurchase":
+            return (context.priorPurchases === 0) === value;
+        case "birthdayMonth":
+            // birthdays are stored as dates at midnight UTC
+            return (context.birthday !== null && context.birthday.getUTCMonth() === context.now.getMonth()) === value;
+        case "minPriorPurchases":
+            return context.priorPurchases >= value;
+        default:
+            return false;
+    }
+};
+
+// whether a promotion's stored rule document holds, promotions without one always do
+const promotionRulesMet = (promotion, context) => {
+    return promotion.rules === null || matchesRule(JSON.parse(promotion.rules), context);
+};
+
+const parseRules = (rules) => rules !== null ? JSON.parse(rules) : null;
+
+module.exports = {ruleError, ruleContext, matchesRule, promotionRulesMet, parseRules};
@@ -0,0 +1,94 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+const {LedgerError, withLedger, releaseHold} = require("./ledger");
+const {getSetting} = require("./settings");
+
+// lifecycle state of a redemption transaction
+const redemptionStatus = (transaction) => {
+    if (transaction.processorUserId !== null) return "processed";
+    if (transaction.cancelledAt !== null) return "cancelled";
+    if (transaction.expiredAt !== null) return "expired";
+    return "pending";
+};
+
+// a reward can be redeemed when inside its active window and not out of stock
+const isRewardAvailable = (reward, now = new Date()) => {
+    if (reward.startTime && reward.startTime > now) return false;
+    if (reward.endTime && reward.endTime < now) return false;
+    return reward.stock === null || reward.stock > 0;
+};
+
+// take one unit of a reward's stock when its redemption is processed, unlimited stock is left alone
+const consumeRewardStock = async (tx, rewardId) => {
+    const reward = await tx.reward.findUnique({
+        where: { id: rewardId }
+    });
+
+    if (reward.stock === null) {
+        return;
+    }
+
+    const { count } = await tx.reward.updateMany({
+        where: { id: rewardId, stock: { gt: 0 } },
+        data: { stock: { decrement: 1 } }
+    });
+
+    if (count === 0) {
+        throw new LedgerError("Reward out of stock");
+    }
+};
+
+// close a pending redemption without processing it and return its held points
+const voidRedemption = async (tx, redemption, data) => {
+    const { count } = await tx.transaction.updateMany({
+        where: {
+            id: redemption.id,
+            processorUserId: null,
+            cancelledAt: null,
+            expiredAt: null
+        },
+        data
+    });
+
+    if (count === 0) {
+        throw new LedgerError("Redemption is no longer pending");
+    }
+
+    await releaseHold(tx, redemption.ownerUserId, Math.abs(redemption.amount));
+};
+
+// expire every pending redemption older than the time-to-live, returns how many were expired
+const expireRedemptions = async () => {
+    const ttlHours = await getSetting("redemptionTtlHours");
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - ttlHours * 60 * 60 * 1000);
+
+    const stale = await prisma.transaction.findMany({
+        where: {
+            type: "redemption",
+            processorUserId: null,
+            cancelledAt: null,
+            expiredAt: null,
+            createdAt: { lt: cutoff }
+        }
+    });
+
+    let expired = 0;
+    for (const redemption of stale) {
+        try {
+            await withLedger((tx) => voidRedemption(tx, redemption, { expiredAt: now }));
+            expired++;
+        } catch (err) {
+            // processed or cancelled while the sweep was running
+            if (err.name !== 'LedgerError') {
+                throw err;
+            }
+        }
+    }
+
+    return expired;
+};
+
+module.exports = {redemptionStatus, isRewardAvailable, consumeRewardStock, voidRedemption, expireRedemptions};
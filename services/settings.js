@@ -0,0 +1,279 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+
+// every runtime setting with its schema and default, values are stored as JSON in the Setting table
+const SETTINGS = {
+    earningRate: {
+        type: "number",
+        min: 0.01,
+        max: 1000,
+        default: 0.25,
+        description: "Dollars spent per point earned on a purchase"
+    },
+    accessTokenMinutes: {
+        type: "integer",
+        min: 1,
+        max: 24 * 60,
+        default: 15,
+        description: "Lifetime of access tokens in minutes"
+    },
+    refreshTokenDays: {
+        type: "integer",
+        min: 1,
+        max: 90,
+        default: 7,
+        description: "Lifetime of refresh tokens in days"
+    },
+    activationTokenDays: {
+        type: "integer",
+        min: 1,
+        max: 90,
+        default: 7,
+        description: "Lifetime of account activation tokens in days"
+    },
+    verificationTokenHours: {
+        type: "integer",
+        min: 1,
+        max: 24 * 30,
+        default: 48,
+        description: "Lifetime of sign-up email verification links in hours"
+    },
+    resetTokenMinutes: {
+        type: "integer",
+        min: 5,
+        max: 1440,
+        default: 60,
+        description: "Lifetime of password reset tokens in minutes"
+    },
+    resetRateLimitSeconds: {
+        type: "integer",
+        min: 0,
+        max: 3600,
+        default: 60,
+        description: "Minimum seconds between password reset requests from one IP"
+    },
+    loginFreeAttempts: {
+        type: "integer",
+        min: 1,
+        max: 100,
+        default: 5,
+        description: "Failed logins allowed for an account before it is temporarily locked"
+    },
+    loginIpFreeAttempts: {
+        type: "integer",
+        min: 1,
+        max: 1000,
+        default: 20,
+        description: "Failed logins allowed from one IP before it is temporarily locked"
+    },
+    loginLockoutBaseSeconds: {
+        type: "integer",
+        min: 1,
+        max: 3600,
+        default: 30,
+        description: "First lockout in seconds, doubled for every further failed login"
+    },
+    loginLockoutMaxSeconds: {
+        type: "integer",
+        min: 1,
+        max: 7 * 24 * 60 * 60,
+        default: 60 * 60,
+        description: "Longest lockout in seconds"
+    },
+    mfaRequiredRole: {
+        type: "enum",
+        values: ["none", "cashier", "manager", "superuser"],
+        default: "none",
+        description: "Lowest role that must log in with two-factor authentication"
+    },
+    uploadMaxBytes: {
+        type: "integer",
+        min: 1024,
+        max: 50 * 1024 * 1024,
+        default: 5 * 1024 * 1024,
+        description: "Largest avatar or reward image upload in bytes"
+    },
+    pointsExpiryMonths: {
+        type: "integer",
+        min: 0,
+        max: 120,
+        default: 0,
+        description: "Months after which earned points expire, oldest first; 0 disables expiry"
+    },
+    pointsExpiryWarningDays: {
+        type: "integer",
+        min: 1,
+        max: 365,
+        default: 30,
+        description: "Days ahead that users are warned about points about to expire"
+    },
+    tierMetric: {
+        type: "enum",
+        values: ["points", "spent"],
+        default: "points",
+        description: "Whether membership tiers are earned by points or dollars spent over the tier window"
+    },
+    tierWindowMonths: {
+        type: "integer",
+        min: 1,
+        max: 60,
+        default: 12,
+        description: "Months of history counted towards a user's membership tier"
+    },
+    promotionMaxStack: {
+        type: "integer",
+        min: 0,
+        max: 100,
+        default: 0,
+        description: "Most promotions applied to one purchase; 0 removes the limit"
+    },
+    promotionBonusCap: {
+        type: "integer",
+        min: 0,
+        max: 1000000,
+        default: 0,
+        description: "Most bonus points promotions add to one purchase; 0 removes the cap"
+    },
+    promoCodeFreeAttempts: {
+        type: "integer",
+        min: 1,
+        max: 1000,
+        default: 10,
+        description: "Unknown or used up promo codes that can be tried for one customer before they are temporarily locked"
+    },
+    promoCodeIpFreeAttempts: {
+        type: "integer",
+        min: 1,
+        max: 10000,
+        default: 50,
+        description: "Unknown or used up promo codes that can be tried from one IP before it is temporarily locked"
+    },
+    promoCodeLockoutBaseSeconds: {
+        type: "integer",
+        min: 1,
+        max: 3600,
+        default: 60,
+        description: "First promo code lockout in seconds, doubled for every further unknown code"
+    },
+    promoCodeLockoutMaxSeconds: {
+        type: "integer",
+        min: 1,
+        max: 7 * 24 * 60 * 60,
+        default: 24 * 60 * 60,
+        description: "Longest promo code lockout in seconds"
+    },
+    redemptionTtlHours: {
+        type: "integer",
+        min: 1,
+        max: 24 * 365,
+        default: 72,
+        description: "Hours before an unprocessed redemption request expires"
+    }
+};
+
+// values read from the database, loaded on first use and kept in sync by setSetting
+let cache = null;
+
+const loadSettings = async () => {
+    const rows = await prisma.setting.findMany();
+    cache = new Map(rows.map(row => [row.key, JSON.parse(row.value)]));
+    return cache;
+};
+
+// whether a key names a setting, inherited properties such as constructor do not
+const isSetting = (key) => Object.hasOwn(SETTINGS, key);
+
+// why a value does not fit a setting's schema, null when it does
+const validateSetting = (key, value) => {
+    if (!isSetting(key)) {
+        return "Unknown setting";
+    }
+
+    const schema = SETTINGS[key];
+
+    if (schema.type === "number" || schema.type === "integer") {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return `${key} must be a number`;
+        }
+        if (schema.type === "integer" && !Number.isInteger(value)) {
+            return `${key} must be an integer`;
+        }
+        if (schema.min !== undefined && value < schema.min) {
+            return `${key} must be at least ${schema.min}`;
+        }
+        if (schema.max !== undefined && value > schema.max) {
+            return `${key} must be at most ${schema.max}`;
+        }
+    } else if (schema.type === "boolean") {
+        if (typeof value !== 'boolean') {
+            return `${key} must be a boolean`;
+        }
+    } else if (schema.type === "enum") {
+        if (!schema.values.includes(value)) {
+            return `${key} must be one of ${schema.values.map(v => JSON.stringify(v)).join(", ")}`;
+        }
+    }
+
+    return null;
+};
+
+// current value of a setting, falling back to its default
+const getSetting = async (key) => {
+    if (!isSetting(key)) {
+        throw new Error(`Unknown setting ${key}`);
+    }
+
+    const values = cache || await loadSettings();
+    return values.has(key) ? values.get(key) : SETTINGS[key].default;
+};
+
+// every setting with its current value, for the settings API
+const listSettings = async () => {
+    const rows = await prisma.setting.findMany();
+    const stored = new Map(rows.map(row => [row.key, row]));
+
+    return Object.entries(SETTINGS).map(([key, schema]) => {
+        const row = stored.get(key);
+        return {
+            key,
+            value: row ? JSON.parse(row.value) : schema.default,
+            default: schema.default,
+            description: schema.description,
+            updatedAt: row ? row.updatedAt.toISOString() : null
+        };
+    });
+};
+
+// store a validated value and record who changed it
+const setSetting = async (key, value, userId) => {
+    const serialized = JSON.stringify(value);
+
+    const row = await prisma.$transaction(async (tx) => {
+        const existing = await tx.setting.findUnique({ where: { key } });
+
+        await tx.settingChange.create({
+            data: {
+                key,
+                oldValue: existing ? existing.value : null,
+                newValue: serialized,
+                changedById: userId
+            }
+        });
+
+        return tx.setting.upsert({
+            where: { key },
+            create: { key, value: serialized },
+            update: { value: serialized }
+        });
+    });
+
+    if (cache) {
+        cache.set(key, value);
+    }
+
+    return row;
+};
+
+module.exports = {SETTINGS, isSetting, validateSetting, getSetting, listSettings, setSetting};
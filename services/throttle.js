@@ -0,0 +1,87 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+
+// failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// seconds a key stays locked after a failure, doubling with every failure past the free attempts
+const lockoutSeconds = (failures, policy) => {
+    if (failures < policy.freeAttempts) {
+        return 0;
+    }
+    return Math.min(policy.maxSeconds, policy.baseSeconds * 2 ** (failures - policy.freeAttempts));
+};
+
+// latest lockout among the given keys that is still in effect, null when none are locked
+const lockedUntil = async (keys) => {
+    const now = new Date();
+    const locked = await prisma.throttle.findMany({
+        where: {
+            key: { in: keys },
+            lockedUntil: { gt: now }
+        },
+        orderBy: { lockedUntil: 'desc' },
+        take: 1
+    });
+
+    return locked.length > 0 ? locked[0].lockedUntil : null;
+};
+
+// count a failure against a key and lock it once the policy says so; the count is incremented in the
+// database so concurrent failures are all counted, and the lockout follows from the count it returns
+const recordFailure = async (key, policy) => {
+    const now = new Date();
+
+    // failures older than the window are forgiven, counting starts again from zero
+    await prisma.throttle.updateMany({
+        where: { key, updatedAt: { lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+        data: { failures: 0, lockedUntil: null }
+    });
+
+    let throttle;
+    try {
+        throttle = await prisma.throttle.upsert({
+            where: { key },
+            create: { key, failures: 1 },
+            update: { failures: { increment: 1 } }
+        });
+    } catch (err) {
+        // a concurrent first failure created the row between the lookup and the insert
+        if (err.code !== 'P2002') {
+            throw err;
+        }
+        throttle = await prisma.throttle.update({
+            where: { key },
+            data: { failures: { increment: 1 } }
+        });
+    }
+
+    const seconds = lockoutSeconds(throttle.failures, policy);
+    if (seconds === 0) {
+        return throttle;
+    }
+
+    // concurrent failures may finish in any order, only ever extend the lockout
+    const lockUntil = new Date(now.getTime() + seconds * 1000);
+    await prisma.throttle.updateMany({
+        where: {
+            key,
+            OR: [
+                { lockedUntil: null },
+                { lockedUntil: { lt: lockUntil } }
+            ]
+        },
+        data: { lockedUntil: lockUntil }
+    });
+
+    return { ...throttle, lockedUntil: lockUntil };
+};
+
+// forget every failure counted against a key
+const clearThrottle = async (key) => {
+    await prisma.throttle.deleteMany({ where: { key } });
+};
+
+module.exports = {lockoutSeconds, lockedUntil, recordFailure, clearThrottle};
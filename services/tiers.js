@@ -0,0 +1,127 @@
+'use strict';
+
+// require all dependencies
+const prisma = require("../prisma/db");
+const {getSetting} = require("./settings");
+
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+};
+
+const formatTier = (tier) => tier ? {
+    id: tier.id,
+    name: tier.name,
+    threshold: tier.threshold,
+    multiplier: tier.multiplier
+} : null;
+
+// every tier, highest threshold first
+const listTiers = () => prisma.tier.findMany({
+    orderBy: [{ threshold: 'desc' }, { id: 'asc' }]
+});
+
+// the highest tier whose threshold a rolling total reaches, null when it reaches none
+const tierFor = (tiers, total) => tiers.find(tier => total >= tier.threshold) || null;
+
+// rolling totals per user over the tier window: points earned from purchases and events less
+// refunds, or dollars spent less refunds, depending on tierMetric. Only refunds of purchases
+// inside the window count, a purchase that already dropped out is not taken off twice
+const rollingTotals = async (userWhere = {}) => {
+    const metric = await getSetting("tierMetric");
+    const months = await getSetting("tierWindowMonths");
+    const since = addMonths(new Date(), -months);
+    const totals = new Map();
+
+    const add = (userId, value) => totals.set(userId, (totals.get(userId) || 0) + (value || 0));
+
+    if (metric === "spent") {
+        const purchases = await prisma.transaction.groupBy({
+            by: ['ownerUserId'],
+            where: { ...userWhere, type: "purchase", suspicious: false, createdAt: { gte: since } },
+            _sum: { spent: true, refunded: true }
+        });
+
+        for (const row of purchases) {
+            add(row.ownerUserId, row._sum.spent - (row._sum.refunded || 0));
+        }
+
+        return totals;
+    }
+
+    const [earned, refunds] = await Promise.all([
+        prisma.transaction.groupBy({
+            by: ['ownerUserId'],
+            where: { ...userWhere, type: { in: ["purchase", "event"] }, suspicious: false, createdAt: { gte: since } },
+            _sum: { amount: true }
+        }),
+        prisma.transaction.groupBy({
+            by: ['ownerUserId'],
+            where: { ...userWhere, type: "adjustment", createdAt: { gte: since }, relatedTransaction: { is: { type: "purchase", suspicious: false, createdAt: { gte: since } } } },
+            _sum: { amount: true }
+        })
+    ]);
+
+    for (const row of [...earned, ...refunds]) {
+        add(row.ownerUserId, row._sum.amount);
+    }
+
+    return totals;
+};
+
+// move one user to the tier their rolling total reaches, returns the tier
+const recalculateTier = async (userId) => {
+    const [tiers, totals] = await Promise.all([
+        listTiers(),
+        rollingTotals({ ownerUserId: userId })
+    ]);
+
+    const tier = tierFor(tiers, totals.get(userId) || 0);
+
+    await prisma.user.updateMany({
+        where: { id: userId, deletedAt: null },
+        data: { tierId: tier ? tier.id : null }
+    });
+
+    return tier;
+};
+
+// recalculate every user's tier, returns how many users changed tier
+const recalculateAllTiers = async () => {
+    const [tiers, totals, users] = await Promise.all([
+        listTiers(),
+        rollingTotals(),
+        prisma.user.findMany({
+            where: { deletedAt: null },
+            select: { id: true, tierId: true }
+        })
+    ]);
+
+    // group the users that change tier by their new tier so each tier takes one update
+    const moves = new Map();
+    for (const user of users) {
+        const tier = tierFor(tiers, totals.get(user.id) || 0);
+        const tierId = tier ? tier.id : null;
+
+        if (tierId !== user.tierId) {
+            if (!moves.has(tierId)) {
+                moves.set(tierId, []);
+            }
+            moves.get(tierId).push(user.id);
+        }
+    }
+
+    let changed = 0;
+    for (const [tierId, userIds] of moves) {
+        const { count } = await prisma.user.updateMany({
+            where: { id: { in: userIds } },
+            data: { tierId }
+        });
+        changed += count;
+    }
+
+    return changed;
+};
+
+module.exports = {formatTier, listTiers, tierFor, recalculateTier, recalculateAllTiers};
@@ -0,0 +1,67 @@
+'use strict';
+
+// require all dependencies
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const prisma = require("../prisma/db");
+const {getSetting} = require("./settings");
+
+// refresh tokens are only stored hashed
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// sign a short-lived access token and store a new refresh token for the user,
+// mfa marks sessions that passed two-factor authentication
+const issueTokens = async (user, client = prisma, mfa = false) => {
+    const accessMinutes = await getSetting("accessTokenMinutes");
+    const refreshDays = await getSetting("refreshTokenDays");
+
+    const token = jwt.sign(
+        { id: user.id, utorid: user.utorid, role: user.role, ver: user.tokenVersion, mfa },
+        process.env.JWT_SECRET,
+        { expiresIn: `${accessMinutes}m` }
+    );
+    const expiresAt = new Date(Date.now() + accessMinutes * 60 * 1000);
+
+    const refreshToken = crypto.randomBytes(32).toString("hex");
+    const refreshExpiresAt = new Date(Date.now() + refreshDays * 24 * 60 * 60 * 1000);
+
+    const stored = await client.refreshToken.create({
+        data: {
+            tokenHash: hashToken(refreshToken),
+            userId: user.id,
+            tokenVersion: user.tokenVersion,
+            mfa,
+            expiresAt: refreshExpiresAt
+        }
+    });
+
+    return {
+        id: stored.id,
+        token,
+        expiresAt,
+        refreshToken,
+        refreshExpiresAt
+    };
+};
+
+// short-lived token proving the password step of a two-factor login
+const issueChallengeToken = (user) => {
+    const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
+    const token = jwt.sign({ id: user.id, purpose: "mfa" }, process.env.JWT_SECRET, { expiresIn: "5m" });
+    return { token, expiresAt };
+};
+
+// invalidate every access and refresh token the user holds
+const revokeSessions = async (userId, client = prisma) => {
+    await client.user.update({
+        where: { id: userId },
+        data: { tokenVersion: { increment: 1 } }
+    });
+
+    await client.refreshToken.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: new Date() }
+    });
+};
+
+module.exports = {hashToken, issueTokens, issueChallengeToken, revokeSessions};
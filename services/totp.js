@@ -0,0 +1,99 @@
+'use strict';
+
+// require all dependencies
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const ISSUER = "Pay2Win";
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of input.replace(/=+$/, "").toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// a new random shared secret, base32 encoded as authenticator apps expect
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth URI for enrolling the secret in an authenticator app
+const provisioningUri = (secret, account) => {
+    const label = encodeURIComponent(`${ISSUER}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD_SECONDS}`;
+};
+
+// RFC 6238 code for a time step
+const codeAt = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+// time step matching a code within one step of clock drift, null when the code is wrong
+const verifyCode = (secret, code, now = Date.now()) => {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const current = Math.floor(now / 1000 / PERIOD_SECONDS);
+    for (const counter of [current - 1, current, current + 1]) {
+        const expected = codeAt(secret, counter);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return counter;
+        }
+    }
+
+    return null;
+};
+
+// one-time recovery codes shown once at enrolment, formatted as xxxxx-xxxxx
+const generateRecoveryCodes = (count = 10) => {
+    return Array.from({ length: count }, () => {
+        const hex = crypto.randomBytes(5).toString("hex");
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+};
+
+module.exports = {generateSecret, provisioningUri, verifyCode, generateRecoveryCodes};
@@ -0,0 +1,254 @@
+'use strict';
+
+// require all dependencies
+const {v4: uuidv4} = require("uuid");
+const prisma = require("../prisma/db");
+const {getSetting} = require("./settings");
+const {withLedger} = require("./ledger");
+const {voidRedemption} = require("./redemptions");
+const {revokeSessions} = require("./tokens");
+
+const utoridRegex = /^[a-zA-Z0-9]{7,8}$/;
+const emailRegex = /^[a-zA-Z0-9._%+-]+@(mail\.)?utoronto\.ca$/;
+const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,20}$/;
+
+// deleting an account rewrites its whole audit history, which can outlast the default transaction timeout
+const ANONYMIZE_TIMEOUT_MS = 60000;
+
+// why the details of a new account are malformed, null when they are fine
+const validateNewUser = ({ utorid, name, email }) => {
+    if (!utorid || !name || !email) {
+        return "utorid, name, and email are required";
+    }
+
+    if (typeof utorid !== 'string' || !utoridRegex.test(utorid)) {
+        return "Invalid utorid format";
+    }
+
+    if (typeof email !== 'string' || !emailRegex.test(email)) {
+        return "Invalid email format";
+    }
+
+    if (typeof name !== 'string' || name.length < 1 || name.length > 50) {
+        return "Name must be 1-50 characters";
+    }
+
+    return null;
+};
+
+// why a new account would clash with an existing one, null when it does not
+const findUserConflict = async ({ utorid, email }) => {
+    const existingEmail = await prisma.user.findFirst({
+        where: { email: email }
+    });
+
+    if (existingEmail) {
+        return "User with this email already exists";
+    }
+
+    const existingUtorid = await prisma.user.findUnique({
+        where: { utorid: utorid }
+    });
+
+    if (existingUtorid) {
+        return "User with this UTORid already exists";
+    }
+
+    return null;
+};
+
+// a fresh activation token for an account created on someone's behalf
+const newActivation = async () => {
+    const activationTokenDays = await getSetting("activationTokenDays");
+    return {
+        token: uuidv4(),
+        expiresAt: new Date(Date.now() + activationTokenDays * 24 * 60 * 60 * 1000)
+    };
+};
+
+// everything stored about a user, for their personal data export
+const collectPersonalData = async (userId) => {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        include: {
+            transactionsOwned: {
+                include: { promotions: { select: { id: true } } },
+                orderBy: { id: 'asc' }
+            },
+            eventsAttending: {
+                include: { event: true },
+                orderBy: { rsvpedAt: 'asc' }
+            },
+            eventsOrganizing: {
+                include: { event: true },
+                orderBy: { addedAt: 'asc' }
+            }
+        }
+    });
+
+    const formatEvent = (event) => ({
+        id: event.id,
+        name: event.name,
+        location: event.location,
+        startTime: event.startTime.toISOString(),
+        endTime: event.endTime.toISOString()
+    });
+
+    return {
+        profile: {
+            id: user.id,
+            utorid: user.utorid,
+            name: user.name,
+            email: user.email,
+            birthday: user.birthday ? user.birthday.toISOString().split('T')[0] : null,
+            role: user.role,
+            points: user.points,
+            pointsHeld: user.pointsHeld,
+            verified: user.verified,
+            suspicious: user.suspicious,
+            totpEnabled: user.totpEnabled,
+            createdAt: user.createdAt.toISOString(),
+            lastLogin: user.lastLogin ? user.lastLogin.toISOString() : null,
+            avatarUrl: user.avatarUrl
+        },
+        transactions: user.transactionsOwned.map(t => ({
+            id: t.id,
+            type: t.type,
+            amount: t.amount,
+            spent: t.spent,
+            redeemed: t.redeemed,
+            remark: t.remark,
+            promotionIds: t.promotions.map(p => p.id),
+            relatedTransactionId: t.relatedTransactionId,
+            relatedUserId: t.relatedUserId,
+            eventId: t.eventId,
+            rewardId: t.rewardId,
+            createdAt: t.createdAt.toISOString()
+        })),
+        rsvps: user.eventsAttending.map(guest => ({
+            ...formatEvent(guest.event),
+            rsvpedAt: guest.rsvpedAt.toISOString()
+        })),
+        organizedEvents: user.eventsOrganizing.map(organizer => ({
+            ...formatEvent(organizer.event),
+            addedAt: organizer.addedAt.toISOString()
+        }))
+    };
+};
+
+// replace every string in a stored JSON snapshot that equals one of the keys of replacements
+const scrubSnapshot = (json, replacements) => {
+    if (json === null) {
+        return null;
+    }
+
+    const scrub = (value) => {
+        if (typeof value === 'string') {
+            return replacements.has(value) ? replacements.get(value) : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(scrub);
+        }
+        if (value !== null && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, scrub(inner)]));
+        }
+        return value;
+    };
+
+    return JSON.stringify(scrub(JSON.parse(json)));
+};
+
+// scrub a closed account's personal data, its transactions stay in the ledger under the anonymized row;
+// returns the avatar path that the caller should remove
+const anonymizeUser = async (user) => {
+    const now = new Date();
+    // the underscore keeps the placeholder outside utoridRegex, so no one can register it
+    const utorid = `deleted_${user.id}`;
+    const email = `deleted_${user.id}@deleted.invalid`;
+    const name = "Deleted user";
+
+    await withLedger(async (tx) => {
+        const pending = await tx.transaction.findMany({
+            where: {
+                ownerUserId: user.id,
+                type: "redemption",
+                processorUserId: null,
+                cancelledAt: null,
+                expiredAt: null
+            }
+        });
+
+        for (const redemption of pending) {
+            await voidRedemption(tx, redemption, { cancelledAt: now });
+        }
+
+        // past attendance stays for event records, upcoming RSVPs and organizer roles are dropped
+        await tx.eventGuest.deleteMany({ where: { userId: user.id, event: { endTime: { gte: now } } } });
+        await tx.eventOrganizer.deleteMany({ where: { userId: user.id, event: { endTime: { gte: now } } } });
+
+        await tx.recoveryCode.deleteMany({ where: { userId: user.id } });
+        await tx.idempotencyKey.deleteMany({ where: { userId: user.id } });
+        await tx.apiKey.updateMany({
+            where: { userId: user.id, revokedAt: null },
+            data: { revokedAt: now }
+        });
+
+        await tx.user.update({
+            where: { id: user.id },
+            data: {
+                utorid,
+                name,
+                email,
+                birthday: null,
+                password: null,
+                avatarUrl: null,
+                resetToken: null,
+                resetTokenExpiry: null,
+                verifyToken: null,
+                verifyTokenExpiry: null,
+                totpSecret: null,
+                totpEnabled: false,
+                totpLastCounter: null,
+                deletedAt: now
+            }
+        });
+
+        await revokeSessions(user.id, tx);
+
+        await tx.loginAttempt.updateMany({
+            where: { utorid: user.utorid },
+            data: { utorid }
+        });
+        await tx.throttle.deleteMany({
+            where: { key: { in: [`login:utorid:${user.utorid}`, `promo:utorid:${user.utorid}`] } }
+        });
+
+        // the audit log is never otherwise rewritten, but snapshots naming the user must not outlive them
+        const replacements = new Map([[user.utorid, utorid], [user.email, email], [user.name, name]]);
+        const entries = await tx.auditLog.findMany({
+            where: {
+                OR: [user.utorid, user.email].flatMap(value => [
+                    { before: { contains: value } },
+                    { after: { contains: value } }
+                ])
+            }
+        });
+
+        // a substring match is not always a whole value, only rows that actually change are written
+        for (const entry of entries) {
+            const before = scrubSnapshot(entry.before, replacements);
+            const after = scrubSnapshot(entry.after, replacements);
+
+            if (before !== entry.before || after !== entry.after) {
+                await tx.auditLog.update({
+                    where: { id: entry.id },
+                    data: { before, after }
+                });
+            }
+        }
+    }, { timeout: ANONYMIZE_TIMEOUT_MS });
+
+    return user.avatarUrl;
+};
+
+module.exports = {utoridRegex, emailRegex, passwordRegex, validateNewUser, findUserConflict, newActivation, collectPersonalData, anonymizeUser};